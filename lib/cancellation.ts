@@ -0,0 +1,61 @@
+import { Request, Response } from 'express'
+import { TimeoutError } from './errors'
+
+const ABORT_STATE = Symbol('express-promise-router:abort-state')
+
+// AbortController is only available since node 15, without it requests don't have a signal
+const AbortControllerClass = (global as any).AbortController
+
+interface AbortState {
+    controller: any
+    aborted: boolean
+    reason?: any
+}
+
+/**
+ * Creates the AbortController of a request, unless it already has one, and exposes its signal as
+ * req.signal. The signal is aborted when the connection closes before the response finished
+ * @param req - the Request object provided by express
+ * @param res - the Response object provided by express
+ */
+export function trackAbort(req: Request, res: Response) {
+    if (req[ABORT_STATE] || !AbortControllerClass) {
+        return
+    }
+    const state: AbortState = { controller: new AbortControllerClass(), aborted: false }
+    Object.defineProperty(req, ABORT_STATE, { value: state })
+    const request: any = req
+    request.signal = state.controller.signal
+
+    res.on('close', () => {
+        if (!(res as any).writableFinished) {
+            abortRequest(req)
+        }
+    })
+}
+
+/**
+ * Aborts the signal of a request. Only the first call has an effect
+ * @param req - the Request object provided by express
+ * @param reason - why the request was aborted, e.g. a TimeoutError
+ */
+export function abortRequest(req: Request, reason?: any) {
+    const state: AbortState = req[ABORT_STATE]
+    if (!state || state.aborted) {
+        return
+    }
+    state.aborted = true
+    state.reason = reason
+    state.controller.abort(reason)
+}
+
+/**
+ * Tells whether the outcome of a handler must be discarded because the client disconnected. Requests
+ * aborted by a TimeoutError are still handled: applyTimeout already ignores the late outcome of the
+ * handler that timed out, and the error handlers the TimeoutError reaches must still be able to respond
+ * @param req - the Request object provided by express
+ */
+export function isDiscarded(req: Request): boolean {
+    const state: AbortState = req[ABORT_STATE]
+    return !!state && state.aborted && !(state.reason instanceof TimeoutError)
+}
@@ -0,0 +1,73 @@
+import { Request } from 'express'
+
+const REQUEST_CONTEXT = Symbol('express-promise-router:request-context')
+
+let contextStorage: any
+let storageLoaded = false
+
+/**
+ * Returns the storage of the contexts, created the first time it's needed. async_hooks is only available
+ * since node 8 and AsyncLocalStorage since node 12.17, without them handlers run without a context
+ */
+function getStorage(): any {
+    if (!storageLoaded) {
+        storageLoaded = true
+        try {
+            const { AsyncLocalStorage } = require('async_hooks')
+            contextStorage = AsyncLocalStorage ? new AsyncLocalStorage() : undefined
+        } catch (error) {
+            contextStorage = undefined
+        }
+    }
+    return contextStorage
+}
+
+export interface RequestContext {
+    [key: string]: any
+}
+
+/**
+ * Runs a function inside the context of a request. The context is created the first time one of
+ * the handlers of the request runs, and shared by the handlers of every router the request goes through
+ * @param req - the Request object provided by express
+ * @param fn - the function to run
+ */
+export function runInContext<T>(req: Request, fn: () => T): T {
+    const storage = getStorage()
+    if (!storage) {
+        return fn()
+    }
+    if (!req[REQUEST_CONTEXT]) {
+        Object.defineProperty(req, REQUEST_CONTEXT, { value: {} })
+    }
+    return storage.run(req[REQUEST_CONTEXT], fn)
+}
+
+/**
+ * Reads the context of the request being handled. It's available from handlers, anything they call,
+ * even after awaiting, and from the responseHandler and errorHandler
+ * @param key - the key to read. The whole context is returned if omitted
+ * @returns the value of the key, or the context. Undefined outside of a request
+ */
+export function getContext(key?: string): any {
+    const storage = getStorage()
+    const context: RequestContext = storage && storage.getStore()
+    if (!context || key === undefined) {
+        return context
+    }
+    return context[key]
+}
+
+/**
+ * Sets a value in the context of the request being handled
+ * @param key - the key to set
+ * @param value - the value
+ */
+export function setContext(key: string, value: any) {
+    const storage = getStorage()
+    const context: RequestContext = storage && storage.getStore()
+    if (!context) {
+        throw new Error('setContext can only be called while a request is being handled')
+    }
+    context[key] = value
+}
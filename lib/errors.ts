@@ -0,0 +1,158 @@
+import { STATUS_CODES } from 'http'
+import { ValidationIssue } from './interfaces'
+
+export interface HttpErrorOptions {
+    /** A machine readable code identifying the error, e.g. 'USER_NOT_FOUND' */
+    code? : string
+    /** A human readable explanation specific to this occurrence of the error */
+    detail? : string
+    /** A URI identifying the type of the error */
+    type? : string
+    /** Any other field is sent along with the error */
+    [field: string] : any
+}
+
+/**
+ * Base class for errors that map to an HTTP status code. The message defaults to the
+ * standard reason phrase of the status code
+ */
+export class HttpError extends Error {
+    status: number
+    code? : string
+    detail? : string
+    type? : string
+    extra: { [field: string]: any }
+    /** Whether the details of the error are safe to send to the client. True for 4xx errors */
+    expose: boolean
+
+    constructor(status: number, message?: string, options: HttpErrorOptions = {}) {
+        super(message || STATUS_CODES[status] || 'Unknown Error')
+        const { code, detail, type } = options
+        this.name = this.constructor.name
+        this.status = status
+        this.code = code
+        this.detail = detail
+        this.type = type
+        this.extra = {}
+        Object.keys(options)
+            .filter((field) => ['code', 'detail', 'type'].indexOf(field) === -1)
+            .forEach((field) => this.extra[field] = options[field])
+        this.expose = status < 500
+    }
+}
+
+export class BadRequest extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(400, message, options)
+    }
+}
+
+export class Unauthorized extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(401, message, options)
+    }
+}
+
+export class Forbidden extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(403, message, options)
+    }
+}
+
+export class NotFound extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(404, message, options)
+    }
+}
+
+export class MethodNotAllowed extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(405, message, options)
+    }
+}
+
+export class NotAcceptable extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(406, message, options)
+    }
+}
+
+export class Conflict extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(409, message, options)
+    }
+}
+
+export class Gone extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(410, message, options)
+    }
+}
+
+export class PayloadTooLarge extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(413, message, options)
+    }
+}
+
+export class UnsupportedMediaType extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(415, message, options)
+    }
+}
+
+export class Unprocessable extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(422, message, options)
+    }
+}
+
+export class TooManyRequests extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(429, message, options)
+    }
+}
+
+export class InternalServerError extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(500, message, options)
+    }
+}
+
+export class NotImplemented extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(501, message, options)
+    }
+}
+
+export class ServiceUnavailable extends HttpError {
+    constructor(message?: string, options?: HttpErrorOptions) {
+        super(503, message, options)
+    }
+}
+
+/**
+ * Error used to reject a request that doesn't match the schema of its route. The issues
+ * are sent along with the error as its errors field
+ */
+export class ValidationError extends BadRequest {
+    errors: ValidationIssue[]
+
+    constructor(errors: ValidationIssue[]) {
+        super('Request validation failed', { code: 'VALIDATION_FAILED', errors })
+        this.errors = errors
+    }
+}
+
+/**
+ * Error used to reject a handler whose returned promise did not settle within
+ * the configured timeout
+ */
+export class TimeoutError extends ServiceUnavailable {
+    timeout: number
+
+    constructor(timeout: number) {
+        super(`Handler did not settle within ${timeout}ms`, { code: 'HANDLER_TIMEOUT' })
+        this.timeout = timeout
+    }
+}
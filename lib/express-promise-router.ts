@@ -1,51 +1,386 @@
-import { IRoute, Router, Response, NextFunction } from 'express';
+import { IRoute, Router, Application, Request, Response, NextFunction } from 'express';
 import * as flattenDeep from 'lodash.flattendeep';
 import * as isPromise from 'is-promise';
 import * as httpMethods from 'methods';
-import { PromiseRouterOptions, ResponseHandler, ErrorHandler } from './interfaces'
+import { METHODS } from 'http';
+import { EventEmitter } from 'events';
+import {
+    PromiseRouterOptions,
+    ErrorMapper,
+    ErrorMatcher,
+    HandlerKind,
+    RouteOptions,
+    RouteSchema,
+    RouteInfo,
+    OpenApiOptions,
+    RouterEvent,
+    RouterEventName,
+    RouterEventListener,
+    HeadersSentIssue,
+    IPromiseRouter,
+    IPromiseApp,
+    ParamLoader,
+    ParamLoaderOptions,
+} from './interfaces'
+import { TimeoutError, InternalServerError } from './errors'
+import { getHandlerOptions, getHandlerKind, middleware, withOptions } from './handlers'
+import { isStreamable, streamResult } from './streaming'
+import { Reply, reply } from './reply'
+import {
+    createRequestValidator,
+    filterResponse,
+    validateResponse,
+    reportResponseViolations,
+    jsonSchemaValidator,
+} from './validation'
+import { createOpenApiDocument } from './openapi'
+import { enableServerTiming, addServerTiming, elapsedMilliseconds } from './server-timing'
+import { runInContext } from './context'
+import { trackAbort, abortRequest, isDiscarded } from './cancellation'
+import { getSentinel } from './sentinels'
+import { createParamLoader } from './param-loader'
+import { createHandlerContext, markContextSettled, takeUpstream, passUpstream, hasUpstream, Upstream } from './handler-context'
+
+const PROMISE_ROUTER = Symbol('express-promise-router:instance')
+const WRAPPED_HANDLER = Symbol('express-promise-router:wrapped-handler')
+const MOUNT_PARENTS = Symbol('express-promise-router:mount-parents')
+const PENDING_REPLY = Symbol('express-promise-router:pending-reply')
+/** How long a handler may take to start the response after resolving, e.g. while res.sendFile reads the file */
+const HANGING_REQUEST_DELAY = 100
+
+type PathArgument = string | RegExp | Array<string | RegExp>
+
+/** A route registered on the router, or a PromiseRouter mounted on it */
+interface Registration {
+    path: string | RegExp
+    method?: string
+    handlers?: Function[]
+    kinds?: HandlerKind[]
+    options?: RouteOptions
+    child?: PromiseRouter
+}
+
+/** A single invocation of a handler, reported to the listeners of the lifecycle events */
+interface HandlerCall {
+    /** The fields shared by every event of the invocation */
+    event: Partial<RouterEvent>
+    start: [number, number]
+    /** The name of its Server-Timing entry, when enabled */
+    timing?: string
+    /** Whether the handler called next on its own */
+    nextCalled?: boolean
+    req: Request
+    /** The ctx.next() of the context handler upstream of this one, until it's settled or passed on */
+    upstream?: Upstream
+}
+
+/** The body of a context handler, held back until the context handlers awaiting ctx.next() settled */
+interface PendingReply {
+    reply: Reply
+    options: RouteOptions
+    call: HandlerCall
+    router: PromiseRouter
+}
 
 class PromiseRouter {
-    router: Router
-    responseHandler? : ResponseHandler
-    errorHandler? : ErrorHandler
+    router: IPromiseRouter
+    options: PromiseRouterOptions
+    /** The router this one was first mounted on, only used outside of requests, e.g. when registering handlers */
+    firstParent? : PromiseRouter
+    errorMappers: Array<{ matches: (error: any) => boolean, mapper: ErrorMapper }> = []
+    registrations: Registration[] = []
+    events: EventEmitter
 
     constructor(options: PromiseRouterOptions = {}) {
-        this.router = Router(options)
-        this.responseHandler = options.responseHandler
-        this.errorHandler = options.errorHandler
+        this.options = options
+        this.router = (options.routerFactory || Router)(options) as IPromiseRouter
+        Object.defineProperty(this.router, PROMISE_ROUTER, { value: this })
         this.wrapMethods(this.router);
         this.wrapRoute(this.router)
+        this.wrapStack(this.getStack(this.router))
+        this.router.onError = (matcher: ErrorMatcher, mapper: ErrorMapper) => this.onError(matcher, mapper)
+        this.router.routes = () => this.getRoutes('', [])
+        this.router.openapi = (openApiOptions?: OpenApiOptions) => createOpenApiDocument(this.router.routes(), openApiOptions)
+        this.router.paramLoader = (name: string, loader: ParamLoader, loaderOptions?: ParamLoaderOptions) => {
+            this.router.param(name, createParamLoader(name, loader, loaderOptions))
+            return this.router
+        }
+
+        // Applications are event emitters already, so the lifecycle events are emitted on them
+        if (typeof (this.router as any).emit === 'function') {
+            this.events = this.router as any
+        } else {
+            this.events = new EventEmitter()
+            this.router.on = (event: RouterEventName, listener: RouterEventListener) => {
+                this.events.on(event, listener)
+                return this.router
+            }
+            this.router.off = (event: RouterEventName, listener: RouterEventListener) => {
+                this.events.removeListener(event, listener)
+                return this.router
+            }
+        }
+        this.router.serveOpenApi = (path: string = '/openapi.json', openApiOptions?: OpenApiOptions) => {
+            this.router.get(path, { hidden: true } as any, (req: Request, res: Response) => {
+                res.json(this.router.openapi(openApiOptions))
+            })
+            return this.router
+        }
+    }
+
+    /**
+     * Lists the routes registered on this router, exposed as router.routes. Mounted PromiseRouters
+     * are expanded in place, with the path they were mounted on as a prefix of their routes
+     * @param prefix - the path this router was mounted on
+     * @param ancestors - the routers this one was reached through, so routers mounted in circles are only listed once
+     */
+    private getRoutes(prefix: string | RegExp, ancestors: PromiseRouter[]): RouteInfo[] {
+        const visited = ancestors.concat([this])
+        const routes: RouteInfo[] = []
+        this.registrations.forEach(({ path, method, handlers, kinds, options, child }) => {
+            const fullPath = this.joinPaths(prefix, path)
+            if (child) {
+                if (visited.indexOf(child) === -1) {
+                    child.getRoutes(fullPath, visited).forEach((route) => routes.push(route))
+                }
+                return
+            }
+            routes.push({
+                method,
+                path: fullPath,
+                handlers: handlers.map((handler) => handler.name || '<anonymous>'),
+                kinds,
+                options,
+            })
+        })
+        return routes
+    }
+
+    /**
+     * Records a registration made through one of the wrapped methods. A registration with an array
+     * of paths is recorded once per path. PromiseRouters among the handlers are recorded on their own,
+     * so their routes can be listed along with the ones of this router
+     * @param method - the method the handlers were registered with
+     * @param path - the path, or array of paths, the handlers were registered on
+     * @param handlers - the middleware/handlers provided to the router
+     * @param options - the options provided along with the handlers
+     */
+    private register(method: string, path: PathArgument, handlers: Function[], options: RouteOptions) {
+        const paths: Array<string | RegExp> = flattenDeep([path === null || path === undefined ? '/' : path])
+        const routeHandlers = handlers.filter((handler) => !handler[PROMISE_ROUTER])
+        const children = handlers.filter((handler) => handler[PROMISE_ROUTER])
+        paths.forEach((routePath) => {
+            if (routeHandlers.length) {
+                this.registrations.push({
+                    path: routePath,
+                    method: method.toUpperCase(),
+                    handlers: routeHandlers,
+                    kinds: routeHandlers.map((handler) => this.getHandlerKind(handler, method)),
+                    options,
+                })
+            }
+            children.forEach((child) => this.registrations.push({ path: routePath, child: child[PROMISE_ROUTER] }))
+        })
+    }
+
+    /**
+     * Registers an error mapper, exposed as router.onError. Classes are matched by prototype
+     * chain, so a mapper registered for a class also handles its subclasses. Any other
+     * function is used as a predicate
+     * @param matcher - a class, or a predicate
+     * @param mapper - handles the matching errors
+     */
+    private onError(matcher: ErrorMatcher, mapper: ErrorMapper): IPromiseRouter {
+        const matches = this.isClass(matcher) ?
+            (error: any) => error instanceof matcher :
+            (error: any) => !!(matcher as (error: any) => boolean)(error)
+        this.errorMappers.push({ matches, mapper })
+        return this.router
     }
 
     /**
-     * Wraps the standard http methods exposed in the Router interface, as well as
-     * the methods 'use', 'all' and 'param'
-     * @param router - An instance of the Express Router
+     * Returns the value of an option. Options provided to this router take precedence. Unspecified
+     * options are inherited from the router the request reached this one through, unless inheritOptions
+     * is false
+     * @param name - the name of the option
+     * @param req - the request being handled. Without one, options are inherited from the first parent
+     */
+    private getOption<K extends keyof PromiseRouterOptions>(name: K, req?: Request): PromiseRouterOptions[K] {
+        if (this.options[name] !== undefined) {
+            return this.options[name]
+        }
+        const parent = this.getParent(req)
+        if (parent && this.options.inheritOptions !== false) {
+            return parent.getOption(name, req)
+        }
+        return undefined
+    }
+
+    /**
+     * Finds the first error mapper that matches the error. The mappers of this router take precedence
+     * over the ones inherited from the router the request reached this one through
+     * @param error - Error thrown when resolving the promise
+     * @param req - the Request object provided by express
+     */
+    private getErrorMapper(error: any, req: Request): ErrorMapper | undefined {
+        const errorMapper = this.errorMappers.filter(({ matches }) => matches(error))[0]
+        if (errorMapper) {
+            return errorMapper.mapper
+        }
+        const parent = this.getParent(req)
+        if (parent && this.options.inheritOptions !== false) {
+            return parent.getErrorMapper(error, req)
+        }
+        return undefined
+    }
+
+    /**
+     * Returns the router this one is mounted on. A router can be mounted on several ones, so during a
+     * request it's the one the request went through, recorded by mountChild
+     * @param req - the request being handled. Without one, the router this one was first mounted on
+     */
+    private getParent(req?: Request): PromiseRouter | undefined {
+        if (!req) {
+            return this.firstParent
+        }
+        const mountParents: Map<PromiseRouter, PromiseRouter> = req[MOUNT_PARENTS]
+        return mountParents && mountParents.get(this)
+    }
+
+    /**
+     * Tells whether a router is this one or one of the routers the request reached this one through
+     * @param router - the router to look for
+     * @param req - the request being handled, or none to follow the first parents
+     */
+    private hasAncestor(router: PromiseRouter, req?: Request): boolean {
+        for (let ancestor: PromiseRouter = this; ancestor; ancestor = ancestor.getParent(req)) {
+            if (ancestor === router) {
+                return true
+            }
+        }
+        return false
+    }
+
+    /**
+     * Makes a PromiseRouter mounted on this one inherit its options. The first router it's mounted on
+     * is kept for lookups outside of requests, unless this one is mounted on it, so options can't be
+     * inherited in circles
+     * @param child - a handler passed to one of the wrapped methods
+     */
+    private adoptChild(child: any) {
+        const childRouter: PromiseRouter = child && child[PROMISE_ROUTER]
+        if (childRouter && !childRouter.firstParent && !this.hasAncestor(childRouter)) {
+            childRouter.firstParent = this
+        }
+    }
+
+    /**
+     * Wraps the handle of a mounted PromiseRouter, so every request it handles records that it was reached
+     * through this router until it leaves it. That way a router mounted on several ones inherits the options,
+     * error mappers and listeners of the one the request went through. Mounts that would make the router
+     * inherit from itself are not recorded
+     * @param handle - the router, or the layer handle express created for an application
+     * @param childRouter - the PromiseRouter of the mounted router or application
+     */
+    private mountChild(handle: Function, childRouter: PromiseRouter) {
+        const mounted = (req: Request, res: Response, next: NextFunction) => {
+            if (this.hasAncestor(childRouter, req)) {
+                return handle(req, res, next)
+            }
+            if (!req[MOUNT_PARENTS]) {
+                Object.defineProperty(req, MOUNT_PARENTS, { value: new Map() })
+            }
+            const mountParents: Map<PromiseRouter, PromiseRouter> = req[MOUNT_PARENTS]
+            const previous = mountParents.get(childRouter)
+            mountParents.set(childRouter, this)
+            return handle(req, res, (...args) => {
+                if (previous) {
+                    mountParents.set(childRouter, previous)
+                } else {
+                    mountParents.delete(childRouter)
+                }
+                return next(...args)
+            })
+        }
+        Object.defineProperty(mounted, 'name', { value: handle.name })
+        return mounted
+    }
+
+    /**
+     * Wraps the http methods exposed by the router, as well as the methods 'use', 'all' and 'param'
+     * @param router - An instance of the router backend
      */
     private wrapMethods(router: Router) {
-        const methods = httpMethods.concat(['use', 'all', 'param']);
+        const methods = this.getHttpMethods(router).concat(['use', 'all', 'param']);
         methods.forEach(method => this.wrapMethod(method, router));
     }
 
     /**
-     * Wraps the .route method available in the Router interface. We store a reference
-     * to the original handler, and create a proxy for the method that invokes the 
-     * original handler to obtain the router to be wrapped
-     * @param router - An instance of the Express Router
+     * Returns the stack of layers of a router, or of the router of an application. Applications
+     * only create their router once something is registered on them
+     * @param router - An instance of the router backend, or an application
+     */
+    private getStack(router: any): any[] {
+        if (Array.isArray(router.stack)) {
+            return router.stack
+        }
+        return router._router && Array.isArray(router._router.stack) ? router._router.stack : []
+    }
+
+    /**
+     * Wraps the handlers that were registered before the router or application was wrapped, like
+     * the ones of applications promisified when they're mounted. Mounted applications, routers and
+     * the middleware express adds to applications are left as they are. Those handlers are not
+     * listed by routes(), since the paths of the layers can't be recovered
+     * @param stack - the layers of the router
+     */
+    private wrapStack(stack: any[]) {
+        const builtIn = ['query', 'expressInit', 'mounted_app', 'router']
+        stack.forEach((layer) => {
+            if (layer.route) {
+                layer.route.stack.forEach((routeLayer) => {
+                    if (!routeLayer.handle[WRAPPED_HANDLER]) {
+                        routeLayer.handle = this.wrapHandler(routeLayer.handle, routeLayer.method || 'all', {}, layer.route.path)
+                    }
+                })
+            } else if (!layer.handle[WRAPPED_HANDLER] && !layer.handle[PROMISE_ROUTER] && builtIn.indexOf(layer.name) === -1) {
+                layer.handle = this.wrapHandler(layer.handle, 'use')
+            }
+        })
+    }
+
+    /**
+     * Lists the http methods an instance of the backend exposes, so routers and routes created by
+     * other backends than the Express 4 one are wrapped with the methods they actually support
+     * @param instance - an instance of the router backend or one of its routes
+     */
+    private getHttpMethods(instance: Router | IRoute): string[] {
+        return httpMethods
+            .concat(METHODS.map((method) => method.toLowerCase()))
+            .filter((method, index, all) => all.indexOf(method) === index && typeof instance[method] === 'function')
+            // Routers are functions, so e.g. bind may be inherited from Function rather than be the BIND http method
+            .filter((method) => instance[method] !== Function.prototype[method])
+    }
+
+    /**
+     * Wraps the .route method available in the Router interface. We keep a reference
+     * to the original method, and create a proxy for the method that invokes the 
+     * original method to obtain the route to be wrapped
+     * @param router - An instance of the router backend
      */
     private wrapRoute(router) {
-        router.__route = router.route
+        const original = router.route
         router.route = (path) => {
-            const route = router.__route(path);
-            const methods = httpMethods.concat(['all'])
-            methods.forEach((method) => this.wrapMethod(method, route));
+            const route = original.call(router, path);
+            const methods = this.getHttpMethods(route).concat(['all'])
+            methods.forEach((method) => this.wrapMethod(method, route, path));
             return route;
         }
     }
 
     /**
-     * Wraps a single method of the instance provided. We store a reference to the original
-     * method with a different name and make the original method behave as a proxy. When it's
+     * Wraps a single method of the instance provided. We keep a reference to the original
+     * method and make the original method behave as a proxy. When it's
      * invoked, it gets the arguments passed to the original method, manipulates them to exclude
      * any that are strings (usually identifying the routes to match) and get the remaining ones
      * usually the middlewares or handlers for a route. For each middleware/handler, we do
@@ -53,11 +388,16 @@ class PromiseRouter {
      * to the original handler
      * @param method - the method of the instance to stub
      * @param instanceToWrap - instance of the Express Router or of the Router.route method
+     * @param routePath - the path of the route, if the instance is one
      */
-    private wrapMethod(method: string, instanceToWrap: Router | IRoute) {
-        const original = `__${method}`
-        instanceToWrap[original] = instanceToWrap[method]
+    private wrapMethod(method: string, instanceToWrap: Router | IRoute, routePath?: PathArgument) {
+        const original = instanceToWrap[method]
         instanceToWrap[method] = (...args) => {
+            // app.get(setting) reads a setting of an application
+            if (method === 'get' && args.length === 1 && this.isString(args[0])) {
+                return original.apply(instanceToWrap, args)
+            }
+
             // Manipulating arguments directly is discouraged
             let _args = Array.from(args)
             
@@ -68,8 +408,44 @@ class PromiseRouter {
                 _args = _args.slice(1);
             }
 
-            // Wraps the remaining arguments
-            _args = flattenDeep(_args).map((arg) => this.wrapHandler(arg))
+            // Grab the options of the route out, in case they were provided before the handlers
+            let routeOptions: RouteOptions = {}
+            if (this.isPlainObject(_args[0])) {
+                routeOptions = _args[0]
+                _args = _args.slice(1)
+            }
+
+            // Handlers that were already wrapped are left as they are. It happens when express registers
+            // the handlers provided to router.get and the like through router.route
+            const handlers = flattenDeep(_args).filter((arg) => !(arg && arg[WRAPPED_HANDLER]))
+
+            // Requests that don't match the schema of the route never reach its handlers. Express resets the
+            // params of every layer of .use, so there the schema is validated by each handler instead
+            if (routeOptions.schema && method !== 'use') {
+                _args = [this.createValidationHandler(routeOptions.schema)].concat(flattenDeep(_args))
+            }
+
+            // Wraps the remaining arguments. PromiseRouters among them inherit the options of this one
+            _args = flattenDeep(_args).map((arg) => {
+                if (arg && arg[WRAPPED_HANDLER]) {
+                    return arg
+                }
+                // Express mounts applications on its own, so they're promisified instead of wrapped
+                if (this.isApp(arg)) {
+                    if (!arg[PROMISE_ROUTER]) {
+                        promisifyApp(arg)
+                    }
+                    this.adoptChild(arg)
+                    return arg
+                }
+                this.adoptChild(arg)
+                const handler = arg && arg[PROMISE_ROUTER] ? this.mountChild(arg, arg[PROMISE_ROUTER]) : arg
+                return this.wrapHandler(handler, method, routeOptions, routePath !== undefined ? routePath : first)
+            })
+
+            if (method !== 'param' && handlers.length) {
+                this.register(method, routePath !== undefined ? routePath : first, handlers, routeOptions)
+            }
 
             // Re-add the first argument
             if (first) {
@@ -77,16 +453,47 @@ class PromiseRouter {
             }
             
             // Invoke the original method
-            return instanceToWrap[original].apply(instanceToWrap, _args);
+            const result = original.apply(instanceToWrap, _args);
+
+            // Express mounts applications with a layer of its own, one per handler and in order, so they
+            // can only be wrapped once it's created
+            const callbacks = _args.slice(first ? 1 : 0)
+            if (callbacks.some((arg) => this.isApp(arg))) {
+                const layers = this.getStack(instanceToWrap).slice(-callbacks.length)
+                callbacks.forEach((arg, index) => {
+                    if (this.isApp(arg) && layers[index]) {
+                        layers[index].handle = this.mountChild(layers[index].handle, arg[PROMISE_ROUTER])
+                    }
+                })
+            }
+            return result
         };
     }
 
+    /**
+     * Creates a middleware that validates the request against the schema of the route, and rejects
+     * it with a ValidationError that goes through the same error handling as the route's handlers
+     * @param schema - the schemas of the parts of the request
+     */
+    private createValidationHandler(schema: RouteSchema) {
+        const validateRequest = createRequestValidator(schema)
+        return withOptions(middleware((req: Request, res: Response, next: NextFunction) => {
+            validateRequest(req, this.getOption('validator', req) || jsonSchemaValidator)
+            next()
+        }), { timingLabel: 'validation' })
+    }
+
     /**
      * Wraps a single handler with a custom behavior so we have access to the arguments
-     * passed to the handler, as well as the data returned by it
+     * passed to the handler, as well as the data returned by it. The wrapped handler never
+     * returns anything to the backend, so backends that handle returned promises on their own,
+     * like Express 5, can't handle them a second time or swallow their rejections
      * @param handler - one of the middleware/handlers provided to the router
+     * @param method - the method the handler was registered with
+     * @param routeOptions - the options provided along with the handler when it was registered
+     * @param path - the path, or array of paths, the handler was registered on
      */
-    private wrapHandler(handler) {
+    private wrapHandler(handler, method?: string, routeOptions: RouteOptions = {}, path?: PathArgument) {
         if ('function' !== typeof handler) {
             const type = Object.prototype.toString.call(handler);
             const msg = `Expected a callback function but got a ${type}`;
@@ -94,94 +501,612 @@ class PromiseRouter {
         }
 
         let wrappedHandler
+        // Options are resolved on every invocation, since they can be inherited after the handler was registered
+        const getOptions = (req: Request) => this.getHandlerOptions(handler, routeOptions, req)
 
-        // Handler is in the format (req, res). Usually the function that de facto handles the request
-        // Note that express invokes this handler with (req, res, next). However, we rely on the fact that
-        // the user did not provide a next function in the handler signature, to indicate it's where
-        // the response will be sent and it's safe to invoke the responseHandler
-        if (handler.length === 2) {
-            wrappedHandler = (req, res, next) => {
-                const ret = handler(...[req, res, next])
-                this.handleReturn(ret, res, next, true)
-            }
-        } 
-        // Handler is in the format (err, req, res, next) OR (req, res, next, id). The first case
-        // denotates error handlers and the second is used for the .param middleware
-        else if (handler.length === 4) {
-            wrappedHandler = (err, req, res, next) => {
-                const ret = handler(...[err, req, res, next])
-                // If the last parameter is a string (instead of a function) we need to adjust where
-                // to get the values for res and next from
-                if ('string' === typeof next) {
-                    next = res
-                    res = req
-                }
-                this.handleReturn(ret, res, next)
+        const kind = this.getHandlerKind(handler, method)
+        // Handlers registered with .use and a schema validate the request in their own layer, before being invoked
+        const validateRequest = method === 'use' && routeOptions.schema ? createRequestValidator(routeOptions.schema) : undefined
+        const validated = (req: Request, invoke: (next: NextFunction) => any) => {
+            if (!validateRequest) {
+                return invoke
             }
-        } 
-        // Handler is in the format (req, res, next). Usually denotates regular middlewares and no special
-        // treatment is required here
-        else {
-            wrappedHandler = (req, res, next) => {
-                const ret = handler(...[req, res, next])
-                this.handleReturn(ret, res, next)
+            return (next: NextFunction) => {
+                validateRequest(req, this.getOption('validator', req) || jsonSchemaValidator)
+                return invoke(next)
             }
         }
+        const info = { path: path === null || path === undefined ? '/' : path, handler: handler.name || '<anonymous>', kind }
+
+        switch (kind) {
+            // The function that de facto handles the request. Note that express invokes this handler
+            // with (req, res, next), but it's where the response will be sent, so it's safe to invoke
+            // the responseHandler
+            case 'terminal':
+                wrappedHandler = (req, res, next) => {
+                    this.invokeHandler(validated(req, (next) => handler(...[req, res, next])), req, res, next, getOptions(req), true, info)
+                }
+                break
+            // Error handlers must keep the (err, req, res, next) signature, since that's how express
+            // tells them apart from regular middlewares
+            case 'error':
+                wrappedHandler = (err, req, res, next) => {
+                    this.invokeHandler((next) => handler(...[err, req, res, next]), req, res, next, getOptions(req), false, info)
+                }
+                break
+            // The .param middleware is invoked with (req, res, next, value, name)
+            case 'param':
+                wrappedHandler = (req, res, next, value, name) => {
+                    this.invokeHandler((next) => handler(...[req, res, next, value, name]), req, res, next, getOptions(req), false, info)
+                }
+                break
+            // Context handlers receive a single argument, and may respond by resolving a body
+            case 'context':
+                wrappedHandler = (req, res, next) => {
+                    const invoke = (next) => this.invokeContextHandler(handler, req, res, next)
+                    this.invokeHandler(validated(req, invoke), req, res, next, getOptions(req), true, info)
+                }
+                break
+            // Regular middlewares, no special treatment is required here
+            default:
+                wrappedHandler = (req, res, next) => {
+                    this.invokeHandler(validated(req, (next) => handler(...[req, res, next])), req, res, next, getOptions(req), false, info)
+                }
+        }
+        Object.defineProperty(wrappedHandler, WRAPPED_HANDLER, { value: handler })
         return wrappedHandler;
     }
 
     /**
-     * Handles the data returned by the handler. If it's a promise, resolves it
+     * Invokes a context handler. Bodies it returns or resolves are turned into a Reply, so they're sent
+     * even when the router has no responseHandler. Undefined, the response itself and the sentinels
+     * are left as they are, since they mean the handler took care of the request on its own. Once the
+     * handler called ctx.next, what it resolves is ignored, like with Koa middlewares, unless it's a Reply
+     * replacing the response of the downstream handlers
+     * @param handler - the context handler
+     * @param req - the Request object provided by express
+     * @param res - the Response object provided by express
+     * @param next - the callback to invoke the next handler in the stack
+     */
+    private invokeContextHandler(handler, req: Request, res: Response, next: NextFunction) {
+        let nextCalled = false
+        const toReply = (result) => {
+            if (nextCalled) {
+                return result instanceof Reply ? result : undefined
+            }
+            const legacySentinels = this.getOption('legacySentinels', req) !== false
+            if (result === undefined || result === res || result instanceof Reply || getSentinel(result, legacySentinels)) {
+                return result
+            }
+            return reply(result)
+        }
+        const ctx = createHandlerContext(req, res, (err?: any) => {
+            nextCalled = true
+            next(err)
+        })
+        let ret
+        try {
+            ret = handler(ctx)
+        } catch (error) {
+            markContextSettled(ctx)
+            throw error
+        }
+        if (!isPromise(ret)) {
+            markContextSettled(ctx)
+            return toReply(ret)
+        }
+        return Promise.resolve(ret).then((result) => {
+            markContextSettled(ctx)
+            return toReply(result)
+        }, (error) => {
+            markContextSettled(ctx)
+            throw error
+        })
+    }
+
+    /**
+     * Resolves the options that apply to a handler. The ones attached with withOptions take
+     * precedence over the ones provided when registering the route, which take precedence
+     * over the ones of the router. Options that are undefined don't override anything
+     * @param handler - one of the middleware/handlers provided to the router
+     * @param routeOptions - the options provided along with the handler when it was registered
+     */
+    private getHandlerOptions(handler, routeOptions: RouteOptions, req: Request): RouteOptions {
+        const options: RouteOptions = {
+            timeout: this.getOption('timeout', req),
+            streamFormat: this.getOption('streamFormat', req),
+            responseHandler: this.getOption('responseHandler', req),
+            errorHandler: this.getOption('errorHandler', req),
+            reportResponseViolations: this.getOption('reportResponseViolations', req),
+            serverTiming: this.getOption('serverTiming', req),
+        }
+        const overrideSources = [routeOptions, getHandlerOptions(handler)]
+        overrideSources.forEach((overrides) => {
+            Object.keys(overrides)
+                .filter((name) => overrides[name] !== undefined)
+                .forEach((name) => options[name] = overrides[name])
+        })
+        return options
+    }
+
+    /**
+     * Determines the kind of a handler. A kind declared with one of the markers takes precedence,
+     * then handlers registered through .param. Routers with the 'context' handlerStyle invoke functions
+     * that declare at most one argument as context handlers, except for mounted routers and applications,
+     * so (req, res, next) middlewares keep working next to them. Otherwise, unless it was disabled, the kind is inferred from the number of
+     * arguments: (req, res) is a terminal handler, (err, req, res, next) an error handler and anything
+     * else a regular middleware
+     * @param handler - one of the middleware/handlers provided to the router
+     * @param method - the method the handler was registered with
+     */
+    private getHandlerKind(handler, method?: string): HandlerKind {
+        const kind = getHandlerKind(handler)
+        if (kind) {
+            return kind
+        }
+        if (method === 'param') {
+            return 'param'
+        }
+        if (this.getOption('handlerStyle') === 'context' && handler.length <= 1 && !this.isRouter(handler)) {
+            return 'context'
+        }
+        if (this.getOption('inferHandlerKind') !== false) {
+            if (handler.length === 2) {
+                return 'terminal'
+            }
+            if (handler.length === 4) {
+                return 'error'
+            }
+        }
+        return 'middleware'
+    }
+
+    /**
+     * Invokes the original handler inside the context of the request. A synchronous throw is treated
+     * the same way as a rejected promise, so it goes through the errorHandler instead of being caught by express
+     * @param invoke - calls the original handler with the arguments provided by express
+     * @param req - the Request object provided by express
+     * @param res - the Response object provided by express
+     * @param next - the callback to invoke the next handler in the stack
+     * @param options - the options that apply to the handler
+     * @param handleResponse - whether the result is sent to the client
+     * @param info - the path, name and kind of the handler, reported along with the lifecycle events
+     */
+    private invokeHandler(invoke: (next: NextFunction) => any, req: Request, res: Response, next: NextFunction, options: RouteOptions,
+        handleResponse: Boolean = false, info?: { path: PathArgument, handler: string, kind: HandlerKind }) {
+        const call: HandlerCall = {
+            event: Object.assign({ method: req.method, req, res }, info),
+            start: process.hrtime(),
+            req,
+            upstream: takeUpstream(req),
+        }
+        next = this.forwardToUpstream(req, next, call)
+        trackAbort(req, res)
+        if (options.serverTiming) {
+            enableServerTiming(req, res)
+            call.timing = options.timingLabel || call.event.handler
+        }
+        // The promise chain is built inside the context too, so it's visible from the response and error handlers
+        runInContext(req, () => {
+            this.emit('handlerStart', call)
+            let ret
+            try {
+                ret = invoke((...args) => {
+                    call.nextCalled = true
+                    return next(...args)
+                })
+            } catch (error) {
+                if (!isDiscarded(req)) {
+                    this.handleError(error, req, res, next, options, call)
+                }
+                return
+            }
+            this.handleReturn(ret, req, res, next, options, handleResponse, call)
+        })
+    }
+
+    /**
+     * Handles the data returned by the handler. If it's a promise, resolves it. Any other
+     * value is handled as if it was the result of a resolved promise, except for undefined and
+     * the Response object itself (e.g. `(req, res) => res.send()`), which mean the handler
+     * took care of the response on its own. Results and rejections that arrive after the request
+     * was aborted because the client disconnected are discarded
      * @param ret - the data returned when invoking the original handler for a route
+     * @param req - the Request object provided by express
      * @param res - the Response object provided by express
      * @param next - the callback to invoke the next handler in the stack
+     * @param options - the options that apply to the handler
+     * @param handleResponse - whether the result is sent to the client
+     * @param call - the invocation of the handler
      */
-    private handleReturn(ret: any, res: Response, next: NextFunction, handleResponse: Boolean = false) {
+    private handleReturn(ret: any, req: Request, res: Response, next: NextFunction, options: RouteOptions,
+        handleResponse: Boolean = false, call?: HandlerCall) {
+        let promise: Promise<any>
         if (isPromise(ret)) {
-            Promise.resolve(ret)
-                .then((result: any) => this.handlePromiseResult(result, res, next, handleResponse))
-                .catch((error: Error) => this.handleError(error, res, next));
+            promise = this.applyTimeout(Promise.resolve(ret), options.timeout, req)
+        } else if (ret !== undefined && ret !== res) {
+            promise = Promise.resolve(ret)
+        } else {
+            this.settle(res, call)
+            this.emit('handlerResolve', call, { result: ret })
+            this.releaseUpstream(req, res, call)
+            return
         }
+        // Once the client disconnected, the outcome of the handler can't be sent anymore
+        promise
+            .then((result: any) => {
+                if (!isDiscarded(req)) {
+                    return Promise.resolve(this.handlePromiseResult(result, req, res, next, options, handleResponse, call))
+                        .then(() => this.releaseUpstream(req, res, call))
+                }
+            })
+            .catch((error: Error) => {
+                if (!isDiscarded(req)) {
+                    this.handleError(error, req, res, next, options, call)
+                }
+            });
     }
 
     /**
-     * Handles the result of the promise. If the promise resolves with 'next' or 'route', 
-     * delegates it to next accordingly. However, if no next function is available, and
-     * a response handler was provided, delegates the result to the response handler
+     * Races the promise against a timer. If the timer fires first, the returned promise is
+     * rejected with a TimeoutError and whatever the original promise settles with afterwards
+     * is ignored, so it can't be handled a second time. The signal of the request is aborted
+     * with the TimeoutError, so the handler can stop what it's doing
+     * @param promise - the promise returned by the handler
+     * @param timeout - time in milliseconds. No timer is set if it's not a positive number
+     * @param req - the Request object provided by express
+     */
+    private applyTimeout(promise: Promise<any>, timeout: number, req: Request): Promise<any> {
+        if (!(timeout > 0)) {
+            return promise
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const error = new TimeoutError(timeout)
+                abortRequest(req, error)
+                reject(error)
+            }, timeout)
+            promise.then((result: any) => {
+                clearTimeout(timer)
+                resolve(result)
+            }, (error: Error) => {
+                clearTimeout(timer)
+                reject(error)
+            })
+        })
+    }
+
+    /**
+     * Handles the result of the promise. If the promise resolves with one of the sentinels, or
+     * with the legacy 'next' and 'route' strings unless they're turned off, delegates it to next accordingly. A result that arrives after the response was sent is
+     * reported instead of being sent again. A Reply is always applied to the response. Otherwise,
+     * if no next function is available, the result is streamed to the client if it's an async
+     * iterable or a stream, or shaped by the response schema of the route and delegated to the
+     * response handler if one was provided
      * @param result - the result of the promise
+     * @param req - the Request object provided by express
+     * @param res - the Response object provided by express
+     * @param next  - the callback to invoke the next handler in the stack
+     * @param options - the options that apply to the handler
+     * @param handleResponse - whether the result is sent to the client
+     * @param call - the invocation of the handler
+     */
+    private handlePromiseResult(result: any, req: Request, res: Response, next: NextFunction, options: RouteOptions,
+        handleResponse: Boolean = false, call?: HandlerCall) {
+            this.settle(res, call)
+            this.emit('handlerResolve', call, { result })
+            const sentinel = getSentinel(result, this.getOption('legacySentinels', req) !== false)
+            if (sentinel) {
+                this.emit('sentinel', call, { sentinel })
+                if (sentinel === 'next') {
+                    next()
+                } else {
+                    next(sentinel)
+                }
+            } else if (result === res) {
+                // The handler took care of the response on its own, e.g. by resolving with stream.pipe(res)
+                return
+            } else if (res.headersSent && (result instanceof Reply || handleResponse)) {
+                // An async handler that sent the response on its own resolves with undefined, anything else is a bug
+                if (result !== undefined) {
+                    this.reportHeadersSent('resolved with a result after the response was sent', req, call, { result })
+                }
+            } else if (result instanceof Reply && call && call.upstream && !call.upstream.ownerSettled && call.event.kind === 'context') {
+                // Sent once the context handlers awaiting ctx.next() settled, so they can still set headers
+                Object.defineProperty(req, PENDING_REPLY, { value: { reply: result, options, call, router: this }, configurable: true })
+            } else if (result instanceof Reply) {
+                delete req[PENDING_REPLY]
+                return Promise.resolve(this.handleReply(result, req, res, options))
+                    .then((streamError) => this.handleResponseSent(streamError, result, req, call))
+            } else if (handleResponse && (typeof options.responseHandler === 'function' || isStreamable(result))) {
+                return Promise.resolve(this.sendResult(this.filterResult(result, req, options), req, res, options))
+                    .then((streamError) => this.handleResponseSent(streamError, result, req, call))
+            } else if (this.getOption('strictHandlers', req) && !(call && call.nextCalled) && !res.headersSent) {
+                setTimeout(() => {
+                    if (!(call && call.nextCalled) && !res.headersSent) {
+                        this.handleHangingRequest(req, res, next, options, call)
+                    }
+                }, HANGING_REQUEST_DELAY)
+            }
+    }
+
+    /**
+     * Reports a handler that resolved without calling next or starting the response, which leaves the
+     * request hanging. It's only called once the handler had some time to start the response, so handlers
+     * that start it asynchronously without waiting for it aren't reported. With strictHandlers set to
+     * 'respond', the request is then failed with an InternalServerError, which goes through the same
+     * error handling as a rejection
+     * @param req - the Request object provided by express
      * @param res - the Response object provided by express
      * @param next  - the callback to invoke the next handler in the stack
+     * @param options - the options that apply to the handler
+     * @param call - the invocation of the handler
+     */
+    private handleHangingRequest(req: Request, res: Response, next: NextFunction, options: RouteOptions, call: HandlerCall) {
+        const message = `${this.describeHandler(req, call)} resolved without calling next or sending a response`
+        process.emitWarning(message, 'HangingRequestWarning')
+        if (this.getOption('strictHandlers', req) === 'respond') {
+            this.handleError(new InternalServerError(message), req, res, next, options, call)
+        }
+    }
+
+    /**
+     * Applies a Reply to the response. Unless it's a redirect or an empty reply, its body is
+     * then handled like any other result, or sent as it is if no response handler was provided
+     * @param reply - the Reply the promise resolved with
+     * @param req - the Request object provided by express
+     * @param res - the Response object provided by express
+     * @param options - the options that apply to the handler
      */
-    private handlePromiseResult(result: any, res: Response, next: NextFunction, handleResponse: Boolean = false) {
-            if (result === 'next') {
-                next();
-            } else if (result === 'route') {
-                next('route');
-            } else if (typeof this.responseHandler === 'function' && handleResponse) {
-                this.responseHandler(res, result)
+    private handleReply(reply: Reply, req: Request, res: Response, options: RouteOptions) {
+        if (reply.applyTo(res)) {
+            return
+        }
+        const body = this.filterResult(reply.body, req, options)
+        if (typeof options.responseHandler !== 'function' && !isStreamable(body)) {
+            res.send(body)
+            return
+        }
+        return this.sendResult(body, req, res, options)
+    }
+
+    /**
+     * Shapes the result according to the response schema of the route, if it has one, so undeclared
+     * properties don't leak to the client. Outside of production, violations of the schema are reported
+     * if reportResponseViolations is enabled. Streams and buffers are left untouched
+     * @param result - the result of the promise
+     * @param req - the Request object provided by express
+     * @param options - the options that apply to the handler
+     */
+    private filterResult(result: any, req: Request, options: RouteOptions): any {
+        const schema = options.schema && options.schema.response
+        if (!schema || isStreamable(result) || Buffer.isBuffer(result)) {
+            return result
+        }
+        const filtered = filterResponse(schema, result)
+        const report = options.reportResponseViolations
+        if (report && process.env.NODE_ENV !== 'production') {
+            const issues = validateResponse(schema, filtered, this.getOption('validator', req) || jsonSchemaValidator)
+            if (issues.length) {
+                (typeof report === 'function' ? report : reportResponseViolations)(issues, req)
             }
+        }
+        return filtered
+    }
+
+    /**
+     * Streams the result to the client if it's an async iterable or a stream, otherwise
+     * delegates it to the response handler if one was provided
+     * @param result - the result of the promise
+     * @param req - the Request object provided by express
+     * @param res - the Response object provided by express
+     * @param options - the options that apply to the handler
+     * @returns the error a stream failed with after the headers were sent, if any
+     */
+    private sendResult(result: any, req: Request, res: Response, options: RouteOptions): Promise<any> | void {
+        if (isStreamable(result)) {
+            return streamResult(result, req, res, options.streamFormat)
+        }
+        if (typeof options.responseHandler === 'function') {
+            options.responseHandler(res, result)
+        }
+    }
+
+    /**
+     * Emits responseHandled once the result was sent. A stream that failed midway was cut off, so the
+     * error is emitted and reported like a rejection that arrives after the response was sent instead
+     * @param streamError - the error the stream failed with after the headers were sent, if any
+     * @param result - the result of the promise
+     * @param req - the Request object provided by express
+     * @param call - the invocation of the handler
+     */
+    private handleResponseSent(streamError: any, result: any, req: Request, call: HandlerCall) {
+        if (!streamError) {
+            this.emit('responseHandled', call, { result })
+            return
+        }
+        this.emit('handlerReject', call, { error: streamError })
+        this.reportHeadersSent(`failed while streaming its result: ${streamError.message}`, req, call, { error: streamError })
     }
 
     /**
-     * Handles errors thrown when resolving the promise.
-     * If an error handler was provided, gives priority to it. If not, bubbles the
-     * error up to the next error handler. If not next is available, nor an error
-     * handler was provided
+     * Handles errors thrown when resolving the promise. Errors that arrive after the response was
+     * sent are reported, since nothing can be sent anymore, and a response left unfinished is closed.
+     * The first error mapper that matches the error takes priority. Then, if an error handler
+     * was provided, it's used instead. If not, bubbles the error up to the next error handler.
+     * If a matcher or a mapper fails, its error is bubbled up instead
      * @param error - Error thrown when resolving the promise
+     * @param req - the Request object provided by express
      * @param res - the Response object provided by express
      * @param next  - the callback to invoke the next handler in the stack
+     * @param options - the options that apply to the handler
+     * @param call - the invocation of the handler
      */
-    private handleError(error: Error, res: Response, next: NextFunction) {
+    private handleError(error: Error, req: Request, res: Response, next: NextFunction, options: RouteOptions,
+        call?: HandlerCall) {
         if (!error) {
             error = new Error('Returned promise was rejected but did not have a reason');
         }
-        if (typeof this.errorHandler === 'function') {
-            this.errorHandler(res, error);
+        this.settle(res, call)
+        this.emit('handlerReject', call, { error })
+        // A body held back for the context handlers awaiting ctx.next() is replaced by the outcome of the error
+        delete req[PENDING_REPLY]
+        if (res.headersSent) {
+            this.reportHeadersSent(`was rejected after the response was sent: ${error.message}`, req, call, { error })
+            // Like the final handler of express, a response that can't be completed is closed so the client doesn't hang
+            const response: any = res
+            if (!(response.writableEnded !== undefined ? response.writableEnded : response.finished)) {
+                response.destroy()
+            }
+            this.releaseUpstream(req, res, call)
+            return
+        }
+        let errorMapper: ErrorMapper
+        try {
+            errorMapper = this.getErrorMapper(error, req)
+        } catch (matcherError) {
+            // A predicate that can't handle the error, e.g. reading a property it doesn't have
+            next(matcherError)
+            return
+        }
+        const { errorHandler } = options
+        if (errorMapper) {
+            Promise.resolve()
+                .then(() => errorMapper(error, req, res))
+                .then(() => this.releaseUpstream(req, res, call), (mapperError: Error) => next(mapperError || error))
+        } else if (typeof errorHandler === 'function') {
+            errorHandler(res, error, req);
+            this.releaseUpstream(req, res, call)
         } else {
            next(error);
         }
     }
 
+    /**
+     * Wraps next so the ctx.next() of the context handler upstream of this handler follows the request. When
+     * the handler passes an error on, ctx.next() is rejected with it instead, so the context handler can catch it.
+     * When the handler passes the request on, ctx.next() is handed on to the next handler, unless the handler
+     * called ctx.next() itself: then it settles the upstream one once it settled
+     * @param req - the Request object provided by express
+     * @param next - the callback to invoke the next handler in the stack
+     * @param call - the invocation of the handler
+     */
+    private forwardToUpstream(req: Request, next: NextFunction, call: HandlerCall): NextFunction {
+        return (...args) => {
+            const upstream = call.upstream
+            if (!upstream) {
+                return next(...args)
+            }
+            const error = args[0]
+            if (error && error !== 'route' && error !== 'router') {
+                call.upstream = undefined
+                upstream.reject(error)
+                return
+            }
+            if (!hasUpstream(req)) {
+                call.upstream = undefined
+                passUpstream(req, upstream)
+            }
+            return next(...args)
+        }
+    }
+
+    /**
+     * Settles the ctx.next() of the context handler upstream of this handler once it settled without passing
+     * an error on. The outermost context handler that called ctx.next() then sends the body held back for it
+     * @param req - the Request object provided by express
+     * @param res - the Response object provided by express
+     * @param call - the invocation of the handler
+     */
+    private releaseUpstream(req: Request, res: Response, call: HandlerCall) {
+        if (!call) {
+            return
+        }
+        if (call.upstream) {
+            const upstream = call.upstream
+            call.upstream = undefined
+            upstream.resolve()
+            return
+        }
+        const pending: PendingReply = req[PENDING_REPLY]
+        if (!pending || call.event.kind !== 'context' || !call.nextCalled) {
+            return
+        }
+        delete req[PENDING_REPLY]
+        const { reply: pendingReply, options, router } = pending
+        return Promise.resolve(router.handleReply(pendingReply, req, res, options))
+            .then((streamError) => router.handleResponseSent(streamError, pendingReply, req, pending.call))
+    }
+
+    /**
+     * Names a handler and its route in diagnostics, e.g. 'Handler getUser of GET /users/:id'
+     * @param req - the Request object provided by express
+     * @param call - the invocation of the handler
+     */
+    private describeHandler(req: Request, call: HandlerCall): string {
+        const event = call ? call.event : {}
+        const path = event.path !== undefined ? event.path : req.originalUrl
+        return `Handler ${event.handler || '<anonymous>'} of ${req.method} ${String(path)}`
+    }
+
+    /**
+     * Reports an outcome of a handler that can't be handled because the response was already sent, with
+     * the headersSentReporter of the router. Without one, it's reported as a process warning outside of
+     * production and ignored in production
+     * @param problem - what the handler did wrong
+     * @param req - the Request object provided by express
+     * @param call - the invocation of the handler
+     * @param outcome - the result or the error of the handler
+     */
+    private reportHeadersSent(problem: string, req: Request, call: HandlerCall, outcome: { result?: any, error?: any }) {
+        const event = call ? call.event : {}
+        const issue: HeadersSentIssue = Object.assign({
+            message: `${this.describeHandler(req, call)} ${problem}`,
+            method: req.method,
+            path: event.path,
+            handler: event.handler,
+            req,
+        }, outcome)
+        const reporter = this.getOption('headersSentReporter', req)
+        if (typeof reporter === 'function') {
+            reporter(issue)
+        } else if (process.env.NODE_ENV !== 'production') {
+            process.emitWarning(issue.message, 'HeadersSentWarning')
+        }
+    }
+
+    /**
+     * Records the time the handler took to settle in the Server-Timing header, when enabled. Only the
+     * first settlement of an invocation counts, like a rejection that follows a resolution when the
+     * result can't be sent
+     * @param res - the Response object provided by express
+     * @param call - the invocation of the handler
+     */
+    private settle(res: Response, call: HandlerCall) {
+        if (call && call.timing) {
+            addServerTiming(res, call.timing, elapsedMilliseconds(call.start))
+            call.timing = undefined
+        }
+    }
+
+    /**
+     * Emits a lifecycle event on this router and on the routers it's mounted on, so a single listener
+     * observes the handlers of mounted routers as well. The time elapsed since the handler was invoked
+     * is reported as the duration, in milliseconds
+     * @param name - the name of the event
+     * @param call - the invocation of the handler
+     * @param details - the fields specific to the event, like the result or the error
+     */
+    private emit(name: RouterEventName, call: HandlerCall, details: Partial<RouterEvent> = {}) {
+        if (!call) {
+            return
+        }
+        const event = Object.assign({}, call.event, { duration: elapsedMilliseconds(call.start) }, details) as RouterEvent
+        for (let router: PromiseRouter = this; router; router = router.getParent(call.req)) {
+            router.events.emit(name, event)
+        }
+    }
+
     /** Helper functions **/
 
     private isString(arg: any): boolean {
@@ -192,6 +1117,45 @@ class PromiseRouter {
         return arg instanceof RegExp
     }
 
+    private joinPaths(prefix: string | RegExp, path: string | RegExp): string | RegExp {
+        if (!prefix || prefix === '/') {
+            return path
+        }
+        if (this.isRegExp(prefix) || this.isRegExp(path)) {
+            const toSource = (part: string | RegExp) => this.isRegExp(part) ?
+                (part as RegExp).source.replace(/^\^/, '') :
+                (part as string).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            return new RegExp(`^${toSource(prefix).replace(/\/$/, '')}${toSource(path)}`)
+        }
+        const base = (prefix as string).replace(/\/$/, '')
+        return path === '/' ? base : `${base}${path}`
+    }
+
+    /**
+     * Tells classes apart from plain functions: Error and its subclasses, class declarations, and
+     * constructors whose prototype defines methods. Other functions, including arrow functions, are predicates
+     */
+    private isClass(arg: Function): boolean {
+        if (!arg.prototype) {
+            return false
+        }
+        return arg === Error || arg.prototype instanceof Error ||
+            /^class\b/.test(Function.prototype.toString.call(arg)) ||
+            Object.getOwnPropertyNames(arg.prototype).length > 1
+    }
+
+    private isRouter(arg: any): boolean {
+        return !!arg[PROMISE_ROUTER] || this.isApp(arg) || (typeof arg.handle === 'function' && Array.isArray(arg.stack))
+    }
+
+    private isApp(arg: any): boolean {
+        return typeof arg === 'function' && typeof arg.handle === 'function' && typeof arg.set === 'function'
+    }
+
+    private isPlainObject(arg: any): boolean {
+        return arg !== null && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype
+    }
+
     private firstArgumentIsArray(args: any): boolean {
         return ((Array.isArray(args[0]) && this.isString(args[0][0])) || this.isRegExp(args[0][0]))
     }
@@ -203,6 +1167,46 @@ class PromiseRouter {
     }
 }
 
-export default (options?: PromiseRouterOptions): Router => {
+export {
+    HttpError,
+    BadRequest,
+    Unauthorized,
+    Forbidden,
+    NotFound,
+    MethodNotAllowed,
+    NotAcceptable,
+    Conflict,
+    Gone,
+    PayloadTooLarge,
+    UnsupportedMediaType,
+    Unprocessable,
+    TooManyRequests,
+    InternalServerError,
+    NotImplemented,
+    ServiceUnavailable,
+    ValidationError,
+    TimeoutError,
+} from './errors'
+export { problemErrorHandler } from './problem-error-handler'
+export { jsonSchemaValidator } from './validation'
+export { createOpenApiDocument, toOpenApiPath } from './openapi'
+export { getContext, setContext, RequestContext } from './context'
+export { NEXT, NEXT_ROUTE, NEXT_ROUTER } from './sentinels'
+export { withOptions, terminal, middleware, errorMiddleware, paramHandler, contextHandler } from './handlers'
+export { createResponseHandler, defaultResponseHandler } from './response-handler'
+export { reply, Reply } from './reply'
+
+export default (options?: PromiseRouterOptions): IPromiseRouter => {
     return new PromiseRouter(options).router
 }
+
+/**
+ * Applies the promise handling of routers to an express application: the handlers registered with
+ * app.get and the like, app.use, app.param and app.route, including the ones registered before. Applications
+ * mounted on it with app.use are promisified too, and inherit its options
+ * @param app - the express application
+ * @param options - the same options as the ones of a router
+ */
+export function promisifyApp(app: Application, options: PromiseRouterOptions = {}): IPromiseApp {
+    return new PromiseRouter(Object.assign({}, options, { routerFactory: () => app })).router as any
+}
@@ -0,0 +1,142 @@
+import { Request, Response, NextFunction } from 'express'
+import { HandlerContext } from './interfaces'
+
+const UPSTREAM = Symbol('express-promise-router:upstream')
+
+/** The ctx.next() of a context handler, waiting for the handlers downstream of it to settle */
+export interface Upstream {
+    resolve: () => void
+    reject: (error: any) => void
+    /** Whether the context handler that called ctx.next() settled already, so nothing awaits it anymore */
+    ownerSettled?: boolean
+}
+
+const contextUpstreams = new WeakMap<HandlerContext, Upstream>()
+
+/**
+ * Records that the context handler invoked with a context settled
+ * @param ctx - the context the handler was invoked with
+ */
+export function markContextSettled(ctx: HandlerContext) {
+    const upstream = contextUpstreams.get(ctx)
+    if (upstream) {
+        upstream.ownerSettled = true
+    }
+}
+
+/**
+ * Takes the ctx.next() waiting for the next handler of the request to settle, if any. The handler that
+ * takes it settles it, or passes it on with passUpstream when it calls next
+ * @param req - the Request object provided by express
+ */
+export function takeUpstream(req: Request): Upstream | undefined {
+    const upstream: Upstream = req[UPSTREAM]
+    if (upstream) {
+        req[UPSTREAM] = undefined
+    }
+    return upstream
+}
+
+/**
+ * Hands a ctx.next() on to the next handler of the request
+ * @param req - the Request object provided by express
+ * @param upstream - the ctx.next() waiting for the downstream handlers
+ */
+export function passUpstream(req: Request, upstream: Upstream) {
+    Object.defineProperty(req, UPSTREAM, { value: upstream, writable: true, configurable: true })
+}
+
+/**
+ * Tells whether a ctx.next() is waiting for the next handler of the request
+ * @param req - the Request object provided by express
+ */
+export function hasUpstream(req: Request): boolean {
+    return !!req[UPSTREAM]
+}
+
+/**
+ * Waits for a response to be finished, or for its connection to be closed before that. It settles ctx.next()
+ * when the downstream handlers aren't wrapped by a router, so they can't settle it themselves
+ * @param res - the Response object provided by express
+ */
+function whenFinished(res: Response): Promise<void> {
+    return new Promise<void>((resolve) => {
+        if ((res as any).writableFinished) {
+            resolve()
+            return
+        }
+        res.once('finish', () => resolve())
+        res.once('close', () => resolve())
+    })
+}
+
+/**
+ * Creates the single argument context handlers are invoked with. It reads from the request and writes
+ * to the response, so it can be mixed with regular handlers. ctx.state is res.locals, so it's shared
+ * with the other handlers of the request
+ * @param req - the Request object provided by express
+ * @param res - the Response object provided by express
+ * @param next - the callback to invoke the next handler in the stack
+ */
+export function createHandlerContext(req: Request, res: Response, next: NextFunction): HandlerContext {
+    let downstream: Promise<void>
+
+    const ctx: HandlerContext = {
+        req,
+        res,
+        get method() {
+            return req.method
+        },
+        get path() {
+            return req.path
+        },
+        get url() {
+            return req.originalUrl
+        },
+        get params() {
+            return req.params
+        },
+        get query() {
+            return req.query
+        },
+        get headers() {
+            return req.headers
+        },
+        get body() {
+            return req.body
+        },
+        get state() {
+            return res.locals
+        },
+        get signal() {
+            return (req as any).signal
+        },
+        get status() {
+            return res.statusCode
+        },
+        set status(code: number) {
+            res.status(code)
+        },
+        get(name: string) {
+            return req.get(name)
+        },
+        set(name: string, value: string | string[]) {
+            res.set(name, value as any)
+            return ctx
+        },
+        next() {
+            if (!downstream) {
+                // The next handler takes it before being invoked, so it must be passed on before calling next
+                downstream = new Promise<void>((resolve, reject) => {
+                    const upstream: Upstream = { resolve, reject }
+                    contextUpstreams.set(ctx, upstream)
+                    passUpstream(req, upstream)
+                    whenFinished(res).then(resolve)
+                })
+                next()
+            }
+            return downstream
+        },
+    }
+    return ctx
+}
@@ -0,0 +1,99 @@
+import { HandlerOptions, HandlerKind } from './interfaces'
+
+const HANDLER_OPTIONS = Symbol('express-promise-router:handler-options')
+const HANDLER_KIND = Symbol('express-promise-router:handler-kind')
+
+/**
+ * Creates a function that calls the handler, with the same name, number of arguments, options and kind,
+ * so options and kinds can be attached to it without changing the handler itself. The same handler can
+ * then be registered several times with different options
+ * @param handler - one of the middleware/handlers provided to the router
+ */
+function copyHandler<T extends Function>(handler: T): T {
+    const copy = function (this: any, ...args: any[]) {
+        return handler.apply(this, args)
+    }
+    Object.defineProperty(copy, 'name', { value: handler.name, configurable: true })
+    Object.defineProperty(copy, 'length', { value: handler.length, configurable: true })
+    Object.defineProperty(copy, HANDLER_OPTIONS, { value: getHandlerOptions(handler), configurable: true })
+    Object.defineProperty(copy, HANDLER_KIND, { value: getHandlerKind(handler), configurable: true })
+    return copy as any
+}
+
+/**
+ * Attaches options to a single handler, overriding the ones provided to the router.
+ * A copy of the handler is returned so the call can be inlined in the route definition
+ * @param handler - one of the middleware/handlers provided to the router
+ * @param options - the options that only apply to this handler
+ */
+export function withOptions<T extends Function>(handler: T, options: HandlerOptions): T {
+    const copy = copyHandler(handler)
+    const merged = Object.assign({}, getHandlerOptions(handler), options)
+    Object.defineProperty(copy, HANDLER_OPTIONS, { value: merged, configurable: true })
+    return copy
+}
+
+/**
+ * Returns the options attached to a handler with withOptions, if any
+ * @param handler - one of the middleware/handlers provided to the router
+ */
+export function getHandlerOptions(handler: any): HandlerOptions {
+    return (handler && handler[HANDLER_OPTIONS]) || {}
+}
+
+/**
+ * Declares what kind of handler a function is, so the router doesn't have to infer it
+ * from the number of arguments the function declares. A copy of the handler is returned
+ * @param handler - one of the middleware/handlers provided to the router
+ * @param kind - the kind of handler
+ */
+function markHandler<T extends Function>(handler: T, kind: HandlerKind): T {
+    const copy = copyHandler(handler)
+    Object.defineProperty(copy, HANDLER_KIND, { value: kind, configurable: true })
+    return copy
+}
+
+/**
+ * Returns the kind declared for a handler, if any
+ * @param handler - one of the middleware/handlers provided to the router
+ */
+export function getHandlerKind(handler: any): HandlerKind | undefined {
+    return handler ? handler[HANDLER_KIND] : undefined
+}
+
+/**
+ * Declares a handler as the one that de facto handles the request. Its result
+ * is passed to the responseHandler
+ */
+export function terminal<T extends Function>(handler: T): T {
+    return markHandler(handler, 'terminal')
+}
+
+/**
+ * Declares a handler as a regular middleware, invoked with (req, res, next)
+ */
+export function middleware<T extends Function>(handler: T): T {
+    return markHandler(handler, 'middleware')
+}
+
+/**
+ * Declares a handler as an error handling middleware, invoked with (err, req, res, next)
+ */
+export function errorMiddleware<T extends Function>(handler: T): T {
+    return markHandler(handler, 'error')
+}
+
+/**
+ * Declares a handler as a .param middleware, invoked with (req, res, next, value, name)
+ */
+export function paramHandler<T extends Function>(handler: T): T {
+    return markHandler(handler, 'param')
+}
+
+/**
+ * Declares a handler as a context handler, invoked with a single HandlerContext. What it resolves
+ * is sent as the response, like the body of a Reply
+ */
+export function contextHandler<T extends Function>(handler: T): T {
+    return markHandler(handler, 'context')
+}
@@ -1,14 +1,295 @@
-import { RouterOptions, Response } from 'express'
+import { RouterOptions, Router, Application, Request, Response } from 'express'
 
 export interface PromiseRouterOptions extends RouterOptions {
+    /**
+     * Creates the router that is wrapped, e.g. the Router of Express 5 or of the standalone router
+     * package. It's called with these options. Defaults to the Router of Express 4
+     */
+    routerFactory? : (options?: RouterOptions) => Router
     responseHandler? : ResponseHandler
     errorHandler? : ErrorHandler
+    timeout? : number
+    streamFormat? : StreamFormat
+    inferHandlerKind? : boolean
+    /** Whether unspecified options are inherited from the router this one is mounted on. Defaults to true */
+    inheritOptions? : boolean
+    validator? : Validator
+    reportResponseViolations? : boolean | ResponseViolationReporter
+    /** Whether the time each handler takes to settle is added to the Server-Timing header */
+    serverTiming? : boolean
+    /**
+     * Receives the results and errors of handlers that arrive after the response was sent. Defaults
+     * to a process warning outside of production
+     */
+    headersSentReporter? : HeadersSentReporter
+    /**
+     * Whether handlers that resolve without calling next or starting the response are reported as a
+     * process warning. With 'respond', the request is also failed with an InternalServerError
+     */
+    strictHandlers? : boolean | 'respond'
+    /**
+     * Whether resolving the strings 'next' and 'route' is equivalent to calling next. Defaults to true.
+     * When turned off, only the NEXT, NEXT_ROUTE and NEXT_ROUTER sentinels are, and strings reach the
+     * responseHandler unchanged
+     */
+    legacySentinels? : boolean
+    /**
+     * How handlers that weren't declared with a marker are invoked. With 'context', the ones that declare
+     * at most one argument receive a single HandlerContext instead of (req, res, next), while mounted routers
+     * and functions declaring more arguments keep the express style. Defaults to 'express'
+     */
+    handlerStyle? : 'express' | 'context'
+}
+
+export type HandlerKind = 'terminal' | 'middleware' | 'error' | 'param' | 'context'
+
+export type StreamFormat = 'ndjson' | 'sse'
+
+export interface HandlerOptions {
+    responseHandler? : ResponseHandler
+    errorHandler? : ErrorHandler
+    timeout? : number
+    streamFormat? : StreamFormat
+    /** Whether results that don't match the response schema are reported, outside of production */
+    reportResponseViolations? : boolean | ResponseViolationReporter
+    serverTiming? : boolean
+    /** The name of the Server-Timing entry of the handler. Defaults to the name of the function */
+    timingLabel? : string
+}
+
+/** Options provided when registering a route, e.g. router.get(path, options, ...handlers) */
+export interface RouteOptions extends HandlerOptions {
+    schema? : RouteSchema
+    /** A short summary of the route, used by the OpenAPI document */
+    summary? : string
+    description? : string
+    tags? : string[]
+    /** The error responses of the route, by status code, with their description */
+    errors? : { [status: number]: string }
+    /** Whether the route is left out of the OpenAPI document */
+    hidden? : boolean
+}
+
+/**
+ * JSON Schemas describing the parts of the request, with lowercase header names, and the
+ * result of the route's handler
+ */
+export interface RouteSchema {
+    params? : object
+    query? : object
+    headers? : object
+    body? : object
+    response? : object
+}
+
+export interface ValidationIssue {
+    /** A JSON pointer to the invalid value, e.g. '/query/page' */
+    path: string
+    message: string
+    keyword? : string
+}
+
+export interface ResponseViolationReporter {
+    (issues: ValidationIssue[], req: Request) : void
+}
+
+export interface ValidationResult {
+    valid: boolean
+    /** The validated value, with defaults applied and coerced if requested */
+    value? : any
+    errors? : ValidationIssue[]
+}
+
+export interface ValidateFunction {
+    (data: any) : ValidationResult
+}
+
+export interface ValidatorOptions {
+    /** Whether strings are coerced to the types declared by the schema */
+    coerce? : boolean
+}
+
+export interface Validator {
+    compile(schema: object, options?: ValidatorOptions) : ValidateFunction
 }
 
 export interface ResponseHandler {
-    (res: Response, result?: any) : void 
+    (res: Response, result?: any) : void
 }
 
 export interface ErrorHandler {
-    (res: Response, error: Error) : void
+    (res: Response, error: Error, req?: Request) : void
+}
+
+export interface ErrorMapper {
+    (error: any, req: Request, res: Response) : any
+}
+
+/** Either a class, matched by prototype chain, or a predicate */
+export type ErrorMatcher = Function | ((error: any) => boolean)
+
+/** The methods added to the routers and applications wrapped by a PromiseRouter */
+export interface PromiseRouterMethods {
+    /**
+     * Registers an error mapper. When a handler fails, the first mapper whose matcher matches
+     * the error handles it, before the errorHandler and next(err) are considered
+     * @param matcher - a class extending Error, or a predicate
+     * @param mapper - handles the matching errors
+     */
+    onError(matcher: ErrorMatcher, mapper: ErrorMapper) : this
+    /**
+     * Lists every route registered through the wrapped methods, route() chains and mounted
+     * PromiseRouters, in registration order
+     */
+    routes() : RouteInfo[]
+    /**
+     * Creates an OpenAPI 3 document describing the routes listed by routes()
+     * @param options - the info and servers of the document
+     */
+    openapi(options?: OpenApiOptions) : object
+    /**
+     * Serves the OpenAPI document of this router as JSON. The document is created when requested,
+     * so it includes routes registered afterwards, and the route itself is hidden from it
+     * @param path - the path the document is served at. Defaults to '/openapi.json'
+     * @param options - the info and servers of the document
+     */
+    serveOpenApi(path?: string, options?: OpenApiOptions) : this
+    /**
+     * Registers a .param handler that loads the value of a param and assigns it to the request.
+     * Values are loaded once per request, even when the param appears on several routes
+     * @param name - the name of the param
+     * @param loader - loads the value from the param and the request
+     * @param options - the property of the request the value is assigned to, and whether it's required
+     */
+    paramLoader(name: string, loader: ParamLoader, options?: ParamLoaderOptions) : this
+}
+
+export interface ParamLoader {
+    (value: string, req: Request) : any
+}
+
+export interface ParamLoaderOptions {
+    /** The property of the request the value is assigned to. Defaults to the name of the param */
+    as? : string
+    /** Whether a missing value, undefined or null, is rejected with a NotFound error. Defaults to false */
+    required? : boolean
+}
+
+/** The single argument context handlers are invoked with */
+export interface HandlerContext {
+    req : Request
+    res : Response
+    readonly method : string
+    readonly path : string
+    /** The original url of the request, including the path the router is mounted on */
+    readonly url : string
+    readonly params : any
+    readonly query : any
+    readonly headers : any
+    readonly body : any
+    /** Shared by every handler of the request, it's res.locals */
+    readonly state : any
+    /** The signal of the request, aborted when it's cancelled or times out */
+    readonly signal? : any
+    /** The status code of the response */
+    status : number
+    /** Reads a request header */
+    get(name: string) : string
+    /** Sets a response header */
+    set(name: string, value: string | string[]) : HandlerContext
+    /**
+     * Invokes the next handlers. The promise resolves once they settled, and rejects with the error they
+     * throw or pass to next. Only the first call has an effect
+     */
+    next() : Promise<void>
+}
+
+export interface ContextHandler {
+    (ctx: HandlerContext) : any
+}
+
+export interface IPromiseRouter extends Router, PromiseRouterMethods {
+    /**
+     * Subscribes to a lifecycle event of the handlers of this router and of the routers mounted on it
+     * @param event - the name of the event
+     * @param listener - invoked with the details of the event
+     */
+    on(event: RouterEventName, listener: RouterEventListener) : IPromiseRouter
+    /**
+     * Unsubscribes a listener added with on
+     * @param event - the name of the event
+     * @param listener - the listener to remove
+     */
+    off(event: RouterEventName, listener: RouterEventListener) : IPromiseRouter
+}
+
+/**
+ * An express application wrapped with promisifyApp. Since applications are event emitters already,
+ * the lifecycle events are emitted on the application itself
+ */
+export interface IPromiseApp extends Application, PromiseRouterMethods {
+    routes() : RouteInfo[]
+}
+
+export interface OpenApiOptions {
+    /** The info object of the document. Defaults to { title: 'API', version: '1.0.0' } */
+    info? : { title?: string, version?: string, description?: string, [field: string]: any }
+    servers? : Array<{ url: string, description?: string }>
+}
+
+export interface RouteInfo {
+    /** The uppercase HTTP method, 'ALL' or 'USE' */
+    method: string
+    /** The full path, including the paths the router was mounted on */
+    path: string | RegExp
+    /** The names of the handlers */
+    handlers: string[]
+    kinds: HandlerKind[]
+    /** The options provided when registering the route */
+    options: RouteOptions
+}
+
+/**
+ * The lifecycle events of a handler. handlerStart is emitted when it's invoked, then handlerResolve or
+ * handlerReject when it settles. sentinel is emitted when it resolves with one of the sentinels, and
+ * responseHandled once its result was sent by the router
+ */
+export type RouterEventName = 'handlerStart' | 'handlerResolve' | 'handlerReject' | 'sentinel' | 'responseHandled'
+
+export interface RouterEvent {
+    /** The HTTP method of the request */
+    method: string
+    /** The path, or array of paths, the handler was registered on */
+    path: string | RegExp | Array<string | RegExp>
+    /** The name of the handler, or '<anonymous>' */
+    handler: string
+    kind: HandlerKind
+    req: Request
+    res: Response
+    /** The time elapsed since the handler was invoked, in milliseconds */
+    duration: number
+    result? : any
+    error? : any
+    /** The argument next was called with because of a sentinel: 'next', 'route' or 'router' */
+    sentinel? : string
+}
+
+export interface RouterEventListener {
+    (event: RouterEvent) : void
+}
+
+/** A result or an error of a handler that arrived after the response was sent */
+export interface HeadersSentIssue {
+    /** Describes the problem, naming the route and the handler */
+    message: string
+    method: string
+    path: string | RegExp | Array<string | RegExp>
+    handler: string
+    req: Request
+    result? : any
+    error? : any
+}
+
+export interface HeadersSentReporter {
+    (issue: HeadersSentIssue) : void
 }
@@ -0,0 +1,144 @@
+import { STATUS_CODES } from 'http'
+import { OpenApiOptions, RouteInfo, RouteOptions } from './interfaces'
+
+/** The methods that can be described by an OpenAPI path item */
+const operationMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+/** Describes the application/problem+json bodies sent by problemErrorHandler */
+const problemSchema = {
+    type: 'object',
+    properties: {
+        type: { type: 'string' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        code: { type: 'string' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+    },
+}
+
+/**
+ * Converts an Express path to an OpenAPI path template, e.g. '/users/:id' to '/users/{id}'.
+ * Patterns and the optional marker of parameters are dropped
+ * @param path - the Express path
+ * @returns the path template, or undefined for paths that can't be described, like RegExps and wildcards
+ */
+export function toOpenApiPath(path: string | RegExp): string | undefined {
+    if (typeof path !== 'string' || path.indexOf('*') !== -1) {
+        return undefined
+    }
+    const template = path.replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}')
+    return /[()?+]/.test(template) ? undefined : template
+}
+
+/**
+ * Lists the parameters of a part of the request, in the order its schema declares them
+ * @param location - where the parameters are found: path, query or header
+ * @param schema - the schema of the part of the request
+ * @param names - names that are listed even if the schema doesn't declare them, like the ones of the path
+ */
+function getParameters(location: string, schema: any, names: string[] = []): object[] {
+    const properties = Object.assign({}, schema && schema.properties)
+    const required: string[] = (schema && schema.required) || []
+    names
+        .filter((name) => !properties.hasOwnProperty(name))
+        .forEach((name) => properties[name] = { type: 'string' })
+    return Object.keys(properties).map((name) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.indexOf(name) !== -1,
+        schema: properties[name],
+    }))
+}
+
+/**
+ * Describes a route as an OpenAPI operation
+ * @param template - the OpenAPI path template of the route
+ * @param options - the options of the route, merged from every registration of the same method and path
+ */
+function createOperation(template: string, options: RouteOptions): { [field: string]: any } {
+    const schema = options.schema || {}
+    const operation: { [field: string]: any } = {}
+    if (options.summary) {
+        operation.summary = options.summary
+    }
+    if (options.description) {
+        operation.description = options.description
+    }
+    if (options.tags) {
+        operation.tags = options.tags
+    }
+
+    const pathNames = (template.match(/\{\w+\}/g) || []).map((name) => name.slice(1, -1))
+    const parameters = getParameters('path', schema.params, pathNames)
+        .concat(getParameters('query', schema.query))
+        .concat(getParameters('header', schema.headers))
+    if (parameters.length) {
+        operation.parameters = parameters
+    }
+    if (schema.body) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: schema.body } },
+        }
+    }
+
+    operation.responses = {
+        200: schema.response ?
+            { description: STATUS_CODES[200], content: { 'application/json': { schema: schema.response } } } :
+            { description: STATUS_CODES[200] },
+    }
+    const errors = Object.assign({}, options.errors)
+    // Routes with a request schema can be rejected with a ValidationError
+    if ((schema.params || schema.query || schema.headers || schema.body) && !errors[400]) {
+        errors[400] = 'Request validation failed'
+    }
+    Object.keys(errors).forEach((status) => operation.responses[status] = {
+        description: errors[status] || STATUS_CODES[status] || 'Error',
+        content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+    })
+    return operation
+}
+
+/**
+ * Creates an OpenAPI 3 document describing routes. Routes that can't be described, like the ones
+ * registered with RegExps, with use or with all, and hidden routes are left out
+ * @param routes - the routes, as listed by router.routes
+ * @param options - the info and servers of the document
+ */
+export function createOpenApiDocument(routes: RouteInfo[], options: OpenApiOptions = {}): object {
+    const merged: { [template: string]: { [method: string]: RouteOptions } } = {}
+    routes.forEach(({ method, path, options: routeOptions }) => {
+        const template = toOpenApiPath(path)
+        const operationMethod = method.toLowerCase()
+        if (!template || operationMethods.indexOf(operationMethod) === -1 || routeOptions.hidden) {
+            return
+        }
+        merged[template] = merged[template] || {}
+        merged[template][operationMethod] = Object.assign({}, merged[template][operationMethod], routeOptions)
+    })
+
+    const paths = {}
+    let hasErrors = false
+    Object.keys(merged).forEach((template) => {
+        paths[template] = {}
+        Object.keys(merged[template]).forEach((method) => {
+            const operation = createOperation(template, merged[template][method])
+            hasErrors = hasErrors || Object.keys(operation.responses).length > 1
+            paths[template][method] = operation
+        })
+    })
+
+    const document: { [field: string]: any } = {
+        openapi: '3.0.3',
+        info: Object.assign({ title: 'API', version: '1.0.0' }, options.info),
+    }
+    if (options.servers) {
+        document.servers = options.servers
+    }
+    document.paths = paths
+    if (hasErrors) {
+        document.components = { schemas: { Problem: problemSchema } }
+    }
+    return document
+}
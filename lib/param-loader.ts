@@ -0,0 +1,50 @@
+import { Request, Response, NextFunction } from 'express'
+import { ParamLoader, ParamLoaderOptions } from './interfaces'
+import { NotFound } from './errors'
+import { paramHandler } from './handlers'
+import { NEXT } from './sentinels'
+
+const PARAM_CACHE = Symbol('express-promise-router:param-cache')
+
+/**
+ * Returns the values loaded by a loader for a request, by param value. The cache lives on the request,
+ * so it's shared by every router and route the request goes through
+ * @param req - the Request object provided by express
+ * @param loader - the loader the values were loaded with
+ */
+function getCache(req: Request, loader: ParamLoader): Map<string, Promise<any>> {
+    if (!req[PARAM_CACHE]) {
+        Object.defineProperty(req, PARAM_CACHE, { value: new Map() })
+    }
+    const caches: Map<ParamLoader, Map<string, Promise<any>>> = req[PARAM_CACHE]
+    if (!caches.has(loader)) {
+        caches.set(loader, new Map())
+    }
+    return caches.get(loader)
+}
+
+/**
+ * Creates a .param handler that loads the value of a param and assigns it to the request. Values are
+ * loaded once per request, even when the param appears on several routes. A missing value, undefined
+ * or null, is rejected with a NotFound error when the param is required
+ * @param name - the name of the param
+ * @param loader - loads the value from the param and the request
+ * @param options - the property of the request the value is assigned to, and whether it's required
+ */
+export function createParamLoader(name: string, loader: ParamLoader, options: ParamLoaderOptions = {}) {
+    const { as = name, required = false } = options
+
+    return paramHandler((req: Request, res: Response, next: NextFunction, value: string) => {
+        const cache = getCache(req, loader)
+        if (!cache.has(value)) {
+            cache.set(value, Promise.resolve().then(() => loader(value, req)))
+        }
+        return cache.get(value).then((loaded: any) => {
+            if (required && (loaded === undefined || loaded === null)) {
+                throw new NotFound(undefined, { detail: `No ${name} matches '${value}'`, param: name })
+            }
+            req[as] = loaded
+            return NEXT
+        })
+    })
+}
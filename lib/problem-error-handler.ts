@@ -0,0 +1,65 @@
+import { Request, Response } from 'express'
+import { STATUS_CODES } from 'http'
+import { ErrorHandler } from './interfaces'
+import { HttpError } from './errors'
+
+export interface ProblemErrorHandlerOptions {
+    /**
+     * Whether the message and stack of unknown and 5xx errors are sent to the client.
+     * Defaults to true unless NODE_ENV is 'production'
+     */
+    exposeInternals? : boolean
+}
+
+/**
+ * Reads the status code of an error. Errors that are not HttpErrors are still allowed to carry
+ * a 4xx status, like the ones created by body-parser do
+ */
+function getStatus(error: any): number {
+    if (error instanceof HttpError) {
+        return error.status
+    }
+    const status = error && (error.status || error.statusCode)
+    return typeof status === 'number' && status >= 400 && status < 600 ? status : 500
+}
+
+/**
+ * Creates an error handler that sends errors as RFC 7807 application/problem+json responses.
+ * HttpErrors are sent with their status, code, detail and extra fields. Details of unknown errors
+ * are only sent when internals are exposed, so they don't leak in production
+ * @param options - the options of the error handler
+ */
+export function problemErrorHandler(options: ProblemErrorHandlerOptions = {}): ErrorHandler {
+    const { exposeInternals = process.env.NODE_ENV !== 'production' } = options
+
+    return (res: Response, error: any) => {
+        const req: Request = (res as any).req
+        const status = getStatus(error)
+        const expose = (error instanceof HttpError || (error && error.expose)) && status < 500
+        const problem: { [field: string]: any } = Object.assign({}, error instanceof HttpError ? error.extra : {}, {
+            type: (error instanceof HttpError && error.type) || 'about:blank',
+            title: STATUS_CODES[status] || 'Unknown Error',
+            status,
+        })
+
+        if (error instanceof HttpError && error.code) {
+            problem.code = error.code
+        }
+        if (expose || exposeInternals) {
+            const detail = error instanceof HttpError ? error.detail || error.message : error && error.message
+            if (detail && detail !== problem.title) {
+                problem.detail = detail
+            }
+        }
+        if (exposeInternals && error && error.stack) {
+            problem.stack = error.stack
+        }
+        if (req) {
+            problem.instance = req.originalUrl
+        }
+
+        res.status(status)
+            .type('application/problem+json')
+            .send(JSON.stringify(problem))
+    }
+}
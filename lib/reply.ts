@@ -0,0 +1,113 @@
+import { Response, CookieOptions } from 'express'
+
+/**
+ * Describes a response that a handler can resolve with instead of a bare value, so the status
+ * code, headers and cookies can be set without touching the Response object directly
+ */
+export class Reply {
+    body: any
+    private statusCode?: number
+    private headers: { [name: string]: string | string[] } = {}
+    private cookies: Array<{ name: string, value: any, options: CookieOptions }> = []
+    private clearedCookies: Array<{ name: string, options: CookieOptions }> = []
+    private location?: string
+    private isEmpty: boolean = false
+
+    constructor(body?: any) {
+        this.body = body
+    }
+
+    /**
+     * Sets the status code of the response
+     * @param code - the status code
+     */
+    status(code: number): this {
+        this.statusCode = code
+        return this
+    }
+
+    /**
+     * Sets a header of the response, replacing any value it had
+     * @param name - the name of the header
+     * @param value - the value of the header
+     */
+    header(name: string, value: string | string[]): this {
+        this.headers[name] = value
+        return this
+    }
+
+    /**
+     * Sets a cookie, with the same arguments as res.cookie
+     * @param name - the name of the cookie
+     * @param value - the value of the cookie
+     * @param options - the options of the cookie
+     */
+    cookie(name: string, value: any, options: CookieOptions = {}): this {
+        this.cookies.push({ name, value, options })
+        return this
+    }
+
+    /**
+     * Clears a cookie, with the same arguments as res.clearCookie
+     * @param name - the name of the cookie
+     * @param options - the options of the cookie
+     */
+    clearCookie(name: string, options: CookieOptions = {}): this {
+        this.clearedCookies.push({ name, options })
+        return this
+    }
+
+    /**
+     * Turns the reply into a redirect. The body is ignored
+     * @param url - the url to redirect to
+     * @param code - the status code. Defaults to 302
+     */
+    redirect(url: string, code: number = 302): this {
+        this.location = url
+        return this.status(code)
+    }
+
+    /**
+     * Turns the reply into a response without a body. The status code defaults to 204
+     */
+    empty(): this {
+        this.isEmpty = true
+        return this
+    }
+
+    /**
+     * Applies the status code, headers and cookies to the response. Redirects and empty
+     * replies are sent right away
+     * @param res - the Response object provided by express
+     * @returns whether the response was sent, otherwise the body still has to be
+     */
+    applyTo(res: Response): boolean {
+        if (this.statusCode) {
+            res.status(this.statusCode)
+        }
+        Object.keys(this.headers).forEach((name) => res.set(name, this.headers[name] as any))
+        this.clearedCookies.forEach(({ name, options }) => res.clearCookie(name, options))
+        this.cookies.forEach(({ name, value, options }) => res.cookie(name, value, options))
+
+        if (this.location) {
+            res.redirect(this.statusCode, this.location)
+            return true
+        }
+        if (this.isEmpty) {
+            if (!this.statusCode) {
+                res.status(204)
+            }
+            res.end()
+            return true
+        }
+        return false
+    }
+}
+
+/**
+ * Creates a Reply
+ * @param body - the body of the response, handled the same way as a bare value would be
+ */
+export function reply(body?: any): Reply {
+    return new Reply(body)
+}
@@ -0,0 +1,118 @@
+import { Request, Response } from 'express'
+import { ResponseHandler } from './interfaces'
+import { NotAcceptable } from './errors'
+
+export interface Serializer {
+    (result: any) : string | Buffer
+}
+
+export interface SerializerTest {
+    (result: any) : boolean
+}
+
+export interface NegotiatingResponseHandler extends ResponseHandler {
+    /**
+     * Registers a serializer for a media type. Registering a media type again replaces
+     * the previous serializer
+     * @param mediaType - the media type, as it would appear in the Accept header
+     * @param serialize - converts the result into the body of the response
+     * @param test - decides whether the serializer can handle a given result. Defaults to any result
+     */
+    register(mediaType: string, serialize: Serializer, test?: SerializerTest) : NegotiatingResponseHandler
+}
+
+interface SerializerEntry {
+    mediaType: string
+    serialize: Serializer
+    test: SerializerTest
+}
+
+const any: SerializerTest = () => true
+
+const isPrimitive: SerializerTest = (result) => ['string', 'number', 'boolean'].indexOf(typeof result) !== -1
+
+const isRecord = (item: any): boolean => item !== null && typeof item === 'object' && !Array.isArray(item)
+
+const isRecordList: SerializerTest = (result) => Array.isArray(result) && result.every(isRecord)
+
+const toCsvField = (value: any): string => {
+    if (value === undefined || value === null) {
+        return ''
+    }
+    const field = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+}
+
+const toCsv: Serializer = (records: any[]) => {
+    const columns = []
+    records.forEach((record) => Object.keys(record).forEach((key) => {
+        if (columns.indexOf(key) === -1) {
+            columns.push(key)
+        }
+    }))
+    const rows = records.map((record) => columns.map((column) => toCsvField(record[column])).join(','))
+    return [columns.map(toCsvField).join(',')].concat(rows).join('\r\n') + '\r\n'
+}
+
+/**
+ * Creates a response handler that picks how to serialize the result based on the Accept header
+ * of the request. JSON, plain text (for strings, numbers and booleans) and CSV (for arrays of records)
+ * are supported out of the box, and more serializers can be registered by media type. Buffers are
+ * always sent as application/octet-stream, and an undefined result as an empty 204 response, unless
+ * the handler set a different status. Throws a NotAcceptable error when no serializer is acceptable
+ */
+export function createResponseHandler(): NegotiatingResponseHandler {
+    const serializers: SerializerEntry[] = []
+
+    const handler = ((res: Response, result?: any) => {
+        const req: Request = (res as any).req
+        res.vary('Accept')
+
+        if (result === undefined) {
+            if (res.statusCode === 200) {
+                res.status(204)
+            }
+            res.end()
+            return
+        }
+        if (Buffer.isBuffer(result)) {
+            res.type('application/octet-stream').send(result)
+            return
+        }
+
+        const candidates = serializers.filter((entry) => entry.test(result))
+        // Strings read better as plain text when the client doesn't have a preference
+        if (typeof result === 'string') {
+            candidates.sort((a, b) => Number(b.mediaType === 'text/plain') - Number(a.mediaType === 'text/plain'))
+        }
+        const mediaType = req.accepts(candidates.map((entry) => entry.mediaType))
+        const serializer = candidates.filter((entry) => entry.mediaType === mediaType)[0]
+
+        if (!serializer) {
+            throw new NotAcceptable(undefined, { available: candidates.map((entry) => entry.mediaType) })
+        }
+        res.type(serializer.mediaType).send(serializer.serialize(result))
+    }) as NegotiatingResponseHandler
+
+    handler.register = (mediaType: string, serialize: Serializer, test: SerializerTest = any) => {
+        const entry = { mediaType, serialize, test }
+        const index = serializers.map((existing) => existing.mediaType).indexOf(mediaType)
+        if (index === -1) {
+            serializers.push(entry)
+        } else {
+            serializers[index] = entry
+        }
+        return handler
+    }
+
+    return handler
+        .register('application/json', (result) => JSON.stringify(result))
+        .register('text/plain', (result) => String(result), isPrimitive)
+        .register('text/csv', toCsv, isRecordList)
+}
+
+/**
+ * A response handler created with createResponseHandler, for routers that don't need to
+ * register serializers of their own
+ */
+export const defaultResponseHandler: ResponseHandler = createResponseHandler()
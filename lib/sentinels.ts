@@ -0,0 +1,29 @@
+/** Resolving a handler with NEXT is equivalent to calling next() */
+export const NEXT = Symbol('express-promise-router:next')
+
+/** Resolving a handler with NEXT_ROUTE is equivalent to calling next('route') */
+export const NEXT_ROUTE = Symbol('express-promise-router:next-route')
+
+/** Resolving a handler with NEXT_ROUTER is equivalent to calling next('router'), leaving the whole router */
+export const NEXT_ROUTER = Symbol('express-promise-router:next-router')
+
+export type Sentinel = 'next' | 'route' | 'router'
+
+/**
+ * Reads the control flow a result stands for
+ * @param result - the result of a handler
+ * @param legacy - whether the strings 'next' and 'route' are sentinels too
+ * @returns the argument that next is called with, as a name, or undefined if the result is not a sentinel
+ */
+export function getSentinel(result: any, legacy: boolean): Sentinel | undefined {
+    if (result === NEXT || (legacy && result === 'next')) {
+        return 'next'
+    }
+    if (result === NEXT_ROUTE || (legacy && result === 'route')) {
+        return 'route'
+    }
+    if (result === NEXT_ROUTER) {
+        return 'router'
+    }
+    return undefined
+}
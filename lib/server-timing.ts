@@ -0,0 +1,87 @@
+import { Request, Response } from 'express'
+
+const SERVER_TIMING = Symbol('express-promise-router:server-timing')
+
+interface TimingEntry {
+    name: string
+    duration?: number
+    description?: string
+}
+
+/**
+ * Measures the time elapsed since a call to process.hrtime
+ * @param start - the result of process.hrtime
+ * @returns the time elapsed, in milliseconds
+ */
+export function elapsedMilliseconds(start: [number, number]): number {
+    const [seconds, nanoseconds] = process.hrtime(start)
+    return seconds * 1e3 + nanoseconds / 1e6
+}
+
+/**
+ * Turns a name into a token that can be used as the name of a Server-Timing entry
+ */
+function toMetricName(name: string): string {
+    return (name || 'handler').replace(/[^\w!#$%&'*+.^`|~-]/g, '_')
+}
+
+function formatEntry({ name, duration, description }: TimingEntry): string {
+    let entry = toMetricName(name)
+    if (duration !== undefined) {
+        entry += `;dur=${Math.round(duration * 10) / 10}`
+    }
+    if (description !== undefined) {
+        entry += `;desc="${description.replace(/["\\]/g, '\\$&')}"`
+    }
+    return entry
+}
+
+/**
+ * Starts collecting Server-Timing entries for a request, unless it already does. The entries are
+ * added to the Server-Timing header right before the headers are sent, after the ones set by other
+ * middleware. Handlers can add their own through req.serverTiming(name, duration?, description?),
+ * which returns a function that ends the mark when the duration is omitted
+ * @param req - the Request object provided by express
+ * @param res - the Response object provided by express
+ */
+export function enableServerTiming(req: Request, res: Response) {
+    if (res[SERVER_TIMING]) {
+        return
+    }
+    const entries: TimingEntry[] = []
+    Object.defineProperty(res, SERVER_TIMING, { value: entries })
+
+    const writeHead = res.writeHead
+    res.writeHead = function (...args) {
+        if (entries.length && !res.headersSent) {
+            const existing = res.getHeader('Server-Timing')
+            res.setHeader('Server-Timing', [].concat(existing || [], entries.map(formatEntry)).join(', '))
+        }
+        return writeHead.apply(this, args)
+    }
+
+    const request: any = req
+    request.serverTiming = (name: string, duration?: number, description?: string) => {
+        if (duration !== undefined) {
+            addServerTiming(res, name, duration, description)
+            return
+        }
+        const start = process.hrtime()
+        return () => addServerTiming(res, name, elapsedMilliseconds(start), description)
+    }
+}
+
+/**
+ * Adds an entry to the Server-Timing header of a response. Entries added once the headers
+ * were sent are ignored
+ * @param res - the Response object provided by express
+ * @param name - the name of the entry
+ * @param duration - the duration, in milliseconds
+ * @param description - a description of the entry
+ */
+export function addServerTiming(res: Response, name: string, duration?: number, description?: string) {
+    const entries: TimingEntry[] = res[SERVER_TIMING]
+    if (entries && !res.headersSent) {
+        entries.push({ name, duration, description })
+    }
+}
@@ -0,0 +1,170 @@
+import { Request, Response } from 'express'
+import { StreamFormat } from './interfaces'
+
+const asyncIteratorSymbol = (Symbol as any).asyncIterator
+
+const mediaTypes = {
+    ndjson: 'application/x-ndjson',
+    sse: 'text/event-stream',
+}
+
+/**
+ * Checks whether a result is something that should be streamed to the client instead of
+ * being passed to the responseHandler: an async iterable (including async generators and
+ * object mode streams) or a Readable stream
+ * @param result - the result of the promise
+ */
+export function isStreamable(result: any): boolean {
+    return isAsyncIterable(result) || isReadableStream(result)
+}
+
+/**
+ * Streams a result to the client. Byte streams are piped as they are, while every item of an
+ * async iterable or object mode stream is serialized as NDJSON or as a Server-Sent Event.
+ * The returned promise is rejected if the source fails before anything was written, so the error
+ * can still be handled like any other. Once the headers are sent, a failure destroys the response, so
+ * the client can tell it's incomplete, and the promise resolves with the error so it can be reported
+ * @param result - an async iterable or a Readable stream
+ * @param req - the Request object provided by express
+ * @param res - the Response object provided by express
+ * @param format - the format of the items. If not provided, it's negotiated with the Accept header
+ * @returns a promise resolved with the error the source failed with after the headers were sent, if any
+ */
+export function streamResult(result: any, req: Request, res: Response, format?: StreamFormat): Promise<any> {
+    if (isReadableStream(result) && !isObjectMode(result)) {
+        return pipeStream(result, res)
+    }
+    const streamFormat = format || negotiateFormat(req)
+    return iterate(result[asyncIteratorSymbol](), res, streamFormat)
+}
+
+function isAsyncIterable(result: any): boolean {
+    return !!asyncIteratorSymbol && result != null && typeof result[asyncIteratorSymbol] === 'function'
+}
+
+// Writable streams, like the Response itself, inherit pipe from Stream, so only readable ones count
+function isReadableStream(result: any): boolean {
+    return result != null && typeof result.pipe === 'function' && typeof result.on === 'function' &&
+        result.readable === true
+}
+
+function isObjectMode(stream: any): boolean {
+    return !!(stream.readableObjectMode || (stream._readableState && stream._readableState.objectMode))
+}
+
+function negotiateFormat(req: Request): StreamFormat {
+    return req.accepts([mediaTypes.ndjson, mediaTypes.sse]) === mediaTypes.sse ? 'sse' : 'ndjson'
+}
+
+function serialize(item: any, format: StreamFormat): string {
+    if (format === 'sse') {
+        const data = typeof item === 'string' ? item : JSON.stringify(item)
+        return data.split(/\r?\n/).map((line) => `data: ${line}\n`).join('') + '\n'
+    }
+    return JSON.stringify(item) + '\n'
+}
+
+/**
+ * Writes every item produced by the iterator to the response, waiting for the response to drain
+ * whenever its buffer is full. Stops consuming the iterator if the client disconnects
+ */
+function iterate(iterator: any, res: Response, format: StreamFormat): Promise<any> {
+    return new Promise<any>((resolve, reject) => {
+        let closed = false
+        let resume: () => void = null
+
+        const onClose = () => {
+            closed = true
+            if (typeof iterator.return === 'function') {
+                Promise.resolve(iterator.return()).catch(() => undefined)
+            }
+            if (resume) {
+                resume()
+            }
+            resolve()
+        }
+        res.once('close', onClose)
+
+        const finish = (error?: any) => {
+            res.removeListener('close', onClose)
+            if (!error) {
+                res.end()
+                resolve()
+            } else if (!res.headersSent) {
+                reject(error)
+            } else {
+                if (format === 'sse') {
+                    res.write('event: error\ndata: {}\n\n')
+                }
+                (res as any).destroy()
+                resolve(error)
+            }
+        }
+
+        const step = () => {
+            Promise.resolve(iterator.next())
+                .then(({ done, value }) => {
+                    if (closed) {
+                        return
+                    }
+                    if (done) {
+                        return finish()
+                    }
+                    if (!res.headersSent) {
+                        res.setHeader('Content-Type', `${mediaTypes[format]}; charset=utf-8`)
+                        res.setHeader('Cache-Control', 'no-cache')
+                    }
+                    if (res.write(serialize(value, format))) {
+                        return step()
+                    }
+                    resume = () => {
+                        resume = null
+                        if (!closed) {
+                            step()
+                        }
+                    }
+                    res.once('drain', () => resume && resume())
+                })
+                .catch((error) => {
+                    if (!closed) {
+                        finish(error)
+                    }
+                })
+        }
+        step()
+    })
+}
+
+/**
+ * Pipes a byte stream to the response. Backpressure is handled by pipe itself
+ */
+function pipeStream(stream: any, res: Response): Promise<any> {
+    return new Promise<any>((resolve, reject) => {
+        const onClose = () => {
+            stream.unpipe(res)
+            if (typeof stream.destroy === 'function') {
+                stream.destroy()
+            }
+            resolve()
+        }
+        res.once('close', onClose)
+        stream.once('end', () => {
+            res.removeListener('close', onClose)
+            resolve()
+        })
+        stream.once('error', (error) => {
+            res.removeListener('close', onClose)
+            stream.unpipe(res)
+            if (!res.headersSent) {
+                reject(error)
+            } else {
+                (res as any).destroy()
+                resolve(error)
+            }
+        })
+        if (!res.getHeader('Content-Type')) {
+            res.setHeader('Content-Type', 'application/octet-stream')
+        }
+        stream.pipe(res)
+    })
+}
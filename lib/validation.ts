@@ -0,0 +1,262 @@
+import { Request } from 'express'
+import { Validator, ValidateFunction, ValidationIssue, ValidatorOptions, RouteSchema } from './interfaces'
+import { ValidationError } from './errors'
+
+const requestParts = ['params', 'query', 'headers', 'body']
+
+/** The parts of the request that are always strings, so their values are coerced to the declared types */
+const coercedParts = ['params', 'query', 'headers']
+
+const typeChecks: { [type: string]: (data: any) => boolean } = {
+    string: (data) => typeof data === 'string',
+    number: (data) => typeof data === 'number' && isFinite(data),
+    integer: (data) => typeof data === 'number' && isFinite(data) && Math.floor(data) === data,
+    boolean: (data) => typeof data === 'boolean',
+    object: (data) => data !== null && typeof data === 'object' && !Array.isArray(data),
+    array: (data) => Array.isArray(data),
+    null: (data) => data === null,
+}
+
+/**
+ * Converts strings to the type declared by the schema, when they represent a value of that type.
+ * Single values are wrapped in an array when an array is expected, like a query parameter that
+ * was only provided once
+ */
+function coerce(data: any, types: string[]): any {
+    if (types.indexOf('array') !== -1 && data !== undefined && !Array.isArray(data)) {
+        return [data]
+    }
+    if (typeof data !== 'string') {
+        return data
+    }
+    if ((types.indexOf('number') !== -1 || types.indexOf('integer') !== -1) && /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(data)) {
+        return Number(data)
+    }
+    if (types.indexOf('boolean') !== -1 && (data === 'true' || data === 'false')) {
+        return data === 'true'
+    }
+    if (types.indexOf('null') !== -1 && data === '') {
+        return null
+    }
+    return data
+}
+
+function isEqual(a: any, b: any): boolean {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Validates a value against a schema, collecting every issue found along the way
+ * @returns the value, with defaults applied and, if enabled, coerced to the declared types
+ */
+function validateValue(schema: any, data: any, path: string, options: ValidatorOptions, issues: ValidationIssue[]): any {
+    if (schema === true || schema === undefined) {
+        return data
+    }
+    if (schema === false) {
+        issues.push({ path, keyword: 'false', message: 'is not allowed' })
+        return data
+    }
+    if (data === undefined && schema.default !== undefined) {
+        data = JSON.parse(JSON.stringify(schema.default))
+    }
+
+    const types: string[] = schema.type === undefined ? [] : [].concat(schema.type)
+    if (options.coerce) {
+        data = coerce(data, types)
+    }
+    if (types.length && !types.some((type) => typeChecks[type] && typeChecks[type](data))) {
+        issues.push({ path, keyword: 'type', message: `must be ${types.join(' or ')}` })
+        return data
+    }
+    if (schema.enum && !schema.enum.some((value) => isEqual(value, data))) {
+        issues.push({ path, keyword: 'enum', message: `must be one of ${schema.enum.map((value) => JSON.stringify(value)).join(', ')}` })
+    }
+    if (schema.const !== undefined && !isEqual(schema.const, data)) {
+        issues.push({ path, keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` })
+    }
+
+    if (typeof data === 'string') {
+        if (schema.minLength !== undefined && data.length < schema.minLength) {
+            issues.push({ path, keyword: 'minLength', message: `must be at least ${schema.minLength} characters long` })
+        }
+        if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+            issues.push({ path, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters long` })
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(data)) {
+            issues.push({ path, keyword: 'pattern', message: `must match the pattern ${schema.pattern}` })
+        }
+    }
+
+    if (typeof data === 'number') {
+        if (schema.minimum !== undefined && data < schema.minimum) {
+            issues.push({ path, keyword: 'minimum', message: `must be greater than or equal to ${schema.minimum}` })
+        }
+        if (schema.maximum !== undefined && data > schema.maximum) {
+            issues.push({ path, keyword: 'maximum', message: `must be less than or equal to ${schema.maximum}` })
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+            issues.push({ path, keyword: 'exclusiveMinimum', message: `must be greater than ${schema.exclusiveMinimum}` })
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+            issues.push({ path, keyword: 'exclusiveMaximum', message: `must be less than ${schema.exclusiveMaximum}` })
+        }
+        if (schema.multipleOf !== undefined && data / schema.multipleOf % 1 !== 0) {
+            issues.push({ path, keyword: 'multipleOf', message: `must be a multiple of ${schema.multipleOf}` })
+        }
+    }
+
+    if (Array.isArray(data)) {
+        if (schema.minItems !== undefined && data.length < schema.minItems) {
+            issues.push({ path, keyword: 'minItems', message: `must have at least ${schema.minItems} items` })
+        }
+        if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+            issues.push({ path, keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` })
+        }
+        if (schema.items !== undefined) {
+            data = data.map((item, index) => validateValue(schema.items, item, `${path}/${index}`, options, issues))
+        }
+    }
+
+    if (typeChecks.object(data)) {
+        const properties = schema.properties || {}
+        const required: string[] = schema.required || []
+        const value = Object.assign({}, data)
+        required
+            .filter((name) => data[name] === undefined && !(properties[name] && properties[name].default !== undefined))
+            .forEach((name) => issues.push({ path: `${path}/${name}`, keyword: 'required', message: 'is required' }))
+        Object.keys(properties)
+            .filter((name) => data[name] !== undefined || (properties[name] && properties[name].default !== undefined))
+            .forEach((name) => value[name] = validateValue(properties[name], data[name], `${path}/${name}`, options, issues))
+        Object.keys(data)
+            .filter((name) => !properties.hasOwnProperty(name))
+            .forEach((name) => {
+                if (schema.additionalProperties === false) {
+                    issues.push({ path: `${path}/${name}`, keyword: 'additionalProperties', message: 'is not allowed' })
+                } else if (typeof schema.additionalProperties === 'object') {
+                    value[name] = validateValue(schema.additionalProperties, data[name], `${path}/${name}`, options, issues)
+                }
+            })
+        data = value
+    }
+
+    return data
+}
+
+/**
+ * The validator used when none is provided to the router. It supports the subset of JSON Schema
+ * that's needed to describe requests: type, enum, const, string length and pattern, numeric ranges,
+ * items, properties, required, additionalProperties and default. A full implementation, such as
+ * ajv, can be plugged in through the validator option instead
+ */
+export const jsonSchemaValidator: Validator = {
+    compile(schema: object, options: ValidatorOptions = {}): ValidateFunction {
+        return (data: any) => {
+            const issues: ValidationIssue[] = []
+            const value = validateValue(schema, data, '', options, issues)
+            return issues.length ? { valid: false, errors: issues } : { valid: true, value }
+        }
+    },
+}
+
+/**
+ * Creates a function that validates the parts of a request described by the schema. Params, query
+ * and headers are coerced to the declared types, and every part but the headers is replaced with
+ * its validated value. Schemas are compiled the first time they're used by each validator
+ * @param schema - the schemas of the parts of the request
+ */
+export function createRequestValidator(schema: RouteSchema): (req: Request, validator: Validator) => void {
+    const compiled = new Map<Validator, { [part: string]: ValidateFunction }>()
+
+    return (req: Request, validator: Validator) => {
+        if (!compiled.has(validator)) {
+            const validateFunctions = {}
+            requestParts
+                .filter((part) => schema[part])
+                .forEach((part) => validateFunctions[part] = validator.compile(schema[part], {
+                    coerce: coercedParts.indexOf(part) !== -1,
+                }))
+            compiled.set(validator, validateFunctions)
+        }
+
+        const validateFunctions = compiled.get(validator)
+        const issues: ValidationIssue[] = []
+        Object.keys(validateFunctions).forEach((part) => {
+            const result = validateFunctions[part](req[part])
+            if (!result.valid) {
+                (result.errors || []).forEach((issue) => issues.push(Object.assign({}, issue, { path: `/${part}${issue.path}` })))
+            } else if (part !== 'headers' && result.value !== undefined) {
+                // Defined rather than assigned, since Express 5 only exposes a getter for req.query
+                Object.defineProperty(req, part, { value: result.value, writable: true, configurable: true, enumerable: true })
+            }
+        })
+        if (issues.length) {
+            throw new ValidationError(issues)
+        }
+    }
+}
+
+/**
+ * Removes the properties that are not declared by the schema from the value, recursively. Objects
+ * with a toJSON method are converted first, the same way they would be when sent as JSON. Schemas
+ * that don't declare properties, or that allow additional ones, keep every property
+ * @param schema - the schema of the response
+ * @param value - the result of the handler
+ */
+export function filterResponse(schema: any, value: any): any {
+    if (!schema || typeof schema !== 'object' || value === null || typeof value !== 'object') {
+        return value
+    }
+    if (typeof value.toJSON === 'function') {
+        return filterResponse(schema, value.toJSON())
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => filterResponse(schema.items, item))
+    }
+    if (!schema.properties) {
+        return value
+    }
+    const filtered = {}
+    Object.keys(value).forEach((name) => {
+        if (schema.properties.hasOwnProperty(name)) {
+            filtered[name] = filterResponse(schema.properties[name], value[name])
+        } else if (schema.additionalProperties === true) {
+            filtered[name] = value[name]
+        } else if (typeof schema.additionalProperties === 'object') {
+            filtered[name] = filterResponse(schema.additionalProperties, value[name])
+        }
+    })
+    return filtered
+}
+
+const compiledResponseSchemas = new WeakMap<object, Map<Validator, ValidateFunction>>()
+
+/**
+ * Validates a result against the response schema of its route. Schemas are compiled the
+ * first time they're used by each validator
+ * @param schema - the schema of the response
+ * @param value - the result of the handler, already filtered
+ * @param validator - the validator of the router
+ * @returns the issues found, if any
+ */
+export function validateResponse(schema: object, value: any, validator: Validator): ValidationIssue[] {
+    if (!compiledResponseSchemas.has(schema)) {
+        compiledResponseSchemas.set(schema, new Map())
+    }
+    const compiled = compiledResponseSchemas.get(schema)
+    if (!compiled.has(validator)) {
+        compiled.set(validator, validator.compile(schema, { coerce: false }))
+    }
+    const result = compiled.get(validator)(value)
+    return result.valid ? [] : result.errors || []
+}
+
+/**
+ * Reports the violations of a response schema as a process warning. Used when
+ * reportResponseViolations is true
+ */
+export function reportResponseViolations(issues: ValidationIssue[], req: Request) {
+    const details = issues.map((issue) => `${issue.path || '/'} ${issue.message}`).join(', ')
+    process.emitWarning(`Response of ${req.method} ${req.originalUrl} doesn't match its schema: ${details}`,
+        'ResponseSchemaWarning')
+}
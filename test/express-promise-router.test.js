@@ -1,7 +1,9 @@
 const { assert } = require('chai');
 const sinon = require('sinon');
 const express = require('express');
-const { GET } = require('./util/http-utils');
+const http = require('http');
+const { Readable } = require('stream');
+const { GET, REQUEST } = require('./util/http-utils');
 
 const delay = (method, payload) => {
     setTimeout(() => {
@@ -9,7 +11,55 @@ const delay = (method, payload) => {
     }, 10);
 };
 
-const { default: promiseRouter } = require('../dist/express-promise-router.js');
+// Resolves with whether the response was cut off before it was complete
+const isCutOff = (route) =>
+    new Promise((resolve) => {
+        http.get('http://localhost:12345' + route, (res) => {
+            res.on('aborted', () => resolve(true));
+            res.on('error', () => resolve(true));
+            res.on('end', () => resolve(!res.complete));
+            res.resume();
+        }).on('error', () => resolve(true));
+    });
+
+const asyncIterable = (items, error) => ({
+    [Symbol.asyncIterator]() {
+        let index = 0;
+        return {
+            next() {
+                if (index === items.length && error) {
+                    return Promise.reject(error);
+                }
+                return Promise.resolve({ done: index >= items.length, value: items[index++] });
+            },
+        };
+    },
+});
+
+const {
+    default: promiseRouter,
+    TimeoutError,
+    withOptions,
+    terminal,
+    middleware,
+    errorMiddleware,
+    createResponseHandler,
+    defaultResponseHandler,
+    reply,
+    HttpError,
+    NotFound,
+    Conflict,
+    problemErrorHandler,
+    ValidationError,
+    toOpenApiPath,
+    getContext,
+    setContext,
+    NEXT,
+    NEXT_ROUTE,
+    NEXT_ROUTER,
+    promisifyApp,
+    contextHandler,
+} = require('../dist/express-promise-router.js');
 
 describe('express-promise-router', function () {
     let app;
@@ -466,4 +516,1997 @@ describe('express-promise-router', function () {
                 });
         });
     });
+
+    describe('Timeout test cases', function () {
+        it('should reject with a TimeoutError when the promise does not settle in time', function () {
+            const errorHandler = sinon.spy((res, error) => {
+                res.status(503).send(error.name);
+            });
+
+            router = promiseRouter({ errorHandler, timeout: 10 });
+            router.get('/foo', (req, res) => new Promise(() => {}));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then(() => {
+                    throw new Error('Shouldn\'t reach this point');
+                })
+                .catch((response) => {
+                    assert.equal(response.statusCode, 503);
+                    assert(errorHandler.calledOnce);
+                    assert.instanceOf(errorHandler.firstCall.args[1], TimeoutError);
+                    assert.equal(errorHandler.firstCall.args[1].timeout, 10);
+                });
+        });
+
+        it('should ignore a result that arrives after the timeout', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+            const errorHandler = (res, error) => res.send('timed out');
+
+            router = promiseRouter({ responseHandler, errorHandler, timeout: 5 });
+            router.get('/foo', (req, res) => new Promise((resolve) => delay(resolve, 'late')));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'timed out');
+                    return new Promise((resolve) => setTimeout(resolve, 20));
+                })
+                .then(() => assert(responseHandler.notCalled));
+        });
+
+        it('should let a single handler override the router timeout', function () {
+            const responseHandler = (res, result) => res.send(result);
+
+            router = promiseRouter({ responseHandler, timeout: 1 });
+            router.get('/foo', withOptions((req, res) => new Promise((resolve) => delay(resolve, 'done')), { timeout: 1000 }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'done'));
+        });
+
+        it('should keep the options of every copy when the same handler is wrapped several times', function () {
+            const responseHandler = (res, result) => res.send(result);
+            const errorHandler = (res, error) => res.status(503).send(error.message);
+            const handler = (req, res) => new Promise((resolve) => setTimeout(resolve, 50, 'done'));
+
+            router = promiseRouter({ responseHandler, errorHandler });
+            router.get('/slow', withOptions(handler, { timeout: 1000 }));
+            router.get('/fast', withOptions(handler, { timeout: 10 }));
+
+            return bootstrap(router)
+                .then(() => GET('/slow'))
+                .then((res) => assert.equal(res.body, 'done'))
+                .then(() => REQUEST('/fast'))
+                .then((res) => assert.equal(res.statusCode, 503));
+        });
+    });
+
+    describe('Synchronous handler test cases', function () {
+        it('should pass a synchronously returned value to the response handler', function () {
+            const responseHandler = sinon.spy((res, result) => res.json(result));
+
+            router = promiseRouter({ responseHandler });
+            router.get('/foo', (req, res) => ({ foo: 'bar' }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.deepEqual(JSON.parse(res.body), { foo: 'bar' });
+                    assert(responseHandler.calledOnce);
+                });
+        });
+
+        it('should not call the response handler when the handler returns the response object', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+
+            router = promiseRouter({ responseHandler });
+            router.get('/foo', (req, res) => res.send('sent'));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'sent');
+                    assert(responseHandler.notCalled);
+                });
+        });
+
+        it('should pass a synchronous throw to the error handler', function () {
+            const errorHandler = sinon.spy((res, error) => res.send(error.message));
+
+            router = promiseRouter({ errorHandler });
+            router.get('/foo', (req, res) => {
+                throw new Error('sync error');
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'sync error');
+                    assert(errorHandler.calledOnce);
+                });
+        });
+
+        it('should call next with a synchronous throw when no error handler is provided', function () {
+            router.use('/foo', (req, res, next) => {
+                throw 'sync error';
+            });
+
+            router.use((err, req, res, next) => res.send(err));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'sync error'));
+        });
+
+        it('should handle synchronously returned "next" and "route"', function () {
+            router.get('/foo', () => 'route', () => assert.fail());
+            router.get('/foo', () => 'next');
+            router.get('/foo', (req, res) => res.send('done'));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'done'));
+        });
+    });
+
+    describe('Handler kind test cases', function () {
+        it('should pass the result of a handler declared as terminal to the response handler', function () {
+            const responseHandler = (res, result) => res.send(result);
+
+            router = promiseRouter({ responseHandler });
+            router.get('/foo', terminal((...args) => Promise.resolve('done')));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'done'));
+        });
+
+        it('should keep the kind of every copy when the same handler is declared several times', function () {
+            const handler = (...args) => Promise.resolve(NEXT);
+
+            router.get('/foo', middleware(handler), terminal(handler));
+
+            assert.deepEqual(router.routes()[0].kinds, ['middleware', 'terminal']);
+            assert.deepEqual(router.routes()[0].handlers, ['handler', 'handler']);
+            assert.equal(errorMiddleware((err, req, res, next) => next(err)).length, 4);
+        });
+
+        it('should not pass the result of a handler declared as middleware to the response handler', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+
+            router = promiseRouter({ responseHandler });
+            router.get('/foo', middleware((req, res) => Promise.resolve('next')), (req, res) => res.send('done'));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'done');
+                    assert(responseHandler.notCalled);
+                });
+        });
+
+        it('should register a handler declared as error middleware as an error handler', function () {
+            router.get('/foo', () => Promise.reject('some error'));
+            router.use(errorMiddleware((...args) => args[2].send(args[0])));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'some error'));
+        });
+
+        it('should not treat .param handlers as terminal or error handlers', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+
+            router = promiseRouter({ responseHandler });
+            router.param('id', (req, res) => Promise.resolve('next'));
+            router.param('name', (req, res, next, name) => {
+                req.name = name;
+                return Promise.resolve('next');
+            });
+            router.get('/foo/:id/:name', (req, res) => res.send(req.name));
+
+            return bootstrap(router)
+                .then(() => GET('/foo/1/bar'))
+                .then((res) => {
+                    assert.equal(res.body, 'bar');
+                    assert(responseHandler.notCalled);
+                });
+        });
+
+        it('should treat undeclared handlers as middleware when inference is disabled', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+
+            router = promiseRouter({ responseHandler, inferHandlerKind: false });
+            router.get('/foo', (req, res) => Promise.resolve('next'), (req, res) => res.send('done'));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'done');
+                    assert(responseHandler.notCalled);
+                });
+        });
+    });
+
+    describe('Streaming test cases', function () {
+        it('should stream an async iterable as NDJSON by default', function () {
+            router.get('/foo', (req, res) => Promise.resolve(asyncIterable([{ id: 1 }, { id: 2 }])));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.match(res.headers['content-type'], /^application\/x-ndjson/);
+                    assert.equal(res.body, '{"id":1}\n{"id":2}\n');
+                });
+        });
+
+        it('should stream Server-Sent Events when the client accepts them', function () {
+            router.get('/foo', (req, res) => asyncIterable([{ id: 1 }, 'two']));
+
+            return bootstrap(router)
+                .then(() => GET('/foo', { headers: { Accept: 'text/event-stream' } }))
+                .then((res) => {
+                    assert.match(res.headers['content-type'], /^text\/event-stream/);
+                    assert.equal(res.body, 'data: {"id":1}\n\ndata: two\n\n');
+                });
+        });
+
+        it('should let a single handler pick the stream format', function () {
+            router.get('/foo', withOptions((req, res) => asyncIterable(['one']), { streamFormat: 'sse' }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'data: one\n\n'));
+        });
+
+        it('should pipe a byte stream to the response', function () {
+            router.get('/foo', (req, res) => {
+                const stream = new Readable({ read() {} });
+                stream.push('raw ');
+                stream.push('bytes');
+                stream.push(null);
+                return stream;
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.headers['content-type'], 'application/octet-stream');
+                    assert.equal(res.body, 'raw bytes');
+                });
+        });
+
+        it('should leave the response alone when a handler resolves with a stream piped to it', function () {
+            router = promiseRouter({ responseHandler: defaultResponseHandler });
+            router.get('/foo', (req, res) => Promise.resolve().then(() => {
+                const stream = new Readable({ read() {} });
+                stream.push('piped');
+                stream.push(null);
+                return stream.pipe(res);
+            }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'piped'));
+        });
+
+        it('should cut the response off and report the error instead of calling next when the stream fails midway', function () {
+            const errorHandler = sinon.spy((err, req, res, next) => res.send('error'));
+            const headersSentReporter = sinon.spy();
+            const events = [];
+            router = promiseRouter({ headersSentReporter });
+
+            router.on('handlerReject', (event) => events.push(`reject ${event.error.message}`));
+            router.on('responseHandled', () => events.push('handled'));
+            router.get('/foo', (req, res) => asyncIterable([1, 2], new Error('failed')));
+            router.get('/bytes', (req, res) => {
+                const stream = new Readable({ read() {} });
+                stream.push('raw ');
+                setTimeout(() => stream.destroy(new Error('source failed')), 10);
+                return stream;
+            });
+            router.use(errorHandler);
+
+            return bootstrap(router)
+                .then(() => isCutOff('/foo'))
+                .then((cutOff) => assert.isTrue(cutOff))
+                .then(() => isCutOff('/bytes'))
+                .then((cutOff) => assert.isTrue(cutOff))
+                .then(() => new Promise((resolve) => setImmediate(resolve)))
+                .then(() => {
+                    assert(errorHandler.notCalled);
+                    assert.deepEqual(events, ['reject failed', 'reject source failed']);
+                    assert.isTrue(headersSentReporter.calledTwice);
+                    assert.equal(
+                        headersSentReporter.firstCall.args[0].message,
+                        'Handler <anonymous> of GET /foo failed while streaming its result: failed'
+                    );
+                    assert.equal(headersSentReporter.secondCall.args[0].error.message, 'source failed');
+                });
+        });
+
+        it('should call next with the error when the stream fails before writing anything', function () {
+            router.get('/foo', (req, res) => asyncIterable([], new Error('failed')));
+            router.use((err, req, res, next) => res.send(err.message));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'failed'));
+        });
+    });
+
+    describe('Default response handler test cases', function () {
+        beforeEach(function () {
+            router = promiseRouter({ responseHandler: defaultResponseHandler });
+        });
+
+        it('should send objects as JSON', function () {
+            router.get('/foo', (req, res) => Promise.resolve({ foo: 'bar' }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.match(res.headers['content-type'], /^application\/json/);
+                    assert.deepEqual(JSON.parse(res.body), { foo: 'bar' });
+                });
+        });
+
+        it('should send strings as plain text unless the client prefers JSON', function () {
+            router.get('/foo', (req, res) => Promise.resolve('hello'));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.match(res.headers['content-type'], /^text\/plain/);
+                    assert.equal(res.body, 'hello');
+                    return GET('/foo', { headers: { Accept: 'application/json' } });
+                })
+                .then((res) => assert.equal(res.body, '"hello"'));
+        });
+
+        it('should send arrays of records as CSV when the client accepts it', function () {
+            router.get('/foo', (req, res) => Promise.resolve([{ id: 1, name: 'a, b' }, { id: 2, note: 'x' }]));
+
+            return bootstrap(router)
+                .then(() => GET('/foo', { headers: { Accept: 'text/csv' } }))
+                .then((res) => {
+                    assert.match(res.headers['content-type'], /^text\/csv/);
+                    assert.equal(res.body, 'id,name,note\r\n1,"a, b",\r\n2,,x\r\n');
+                });
+        });
+
+        it('should send buffers as octet-stream', function () {
+            router.get('/foo', (req, res) => Promise.resolve(Buffer.from('bytes')));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.headers['content-type'], 'application/octet-stream');
+                    assert.equal(res.body, 'bytes');
+                });
+        });
+
+        it('should respond with 204 when the result is undefined', function () {
+            router.get('/foo', (req, res) => Promise.resolve());
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => assert.equal(res.statusCode, 204));
+        });
+
+        it('should respond with 406 when no serializer is acceptable', function () {
+            router.get('/foo', (req, res) => Promise.resolve({ foo: 'bar' }));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo', { headers: { Accept: 'text/csv' } }))
+                .then((res) => assert.equal(res.statusCode, 406));
+        });
+
+        it('should use serializers registered by media type', function () {
+            const responseHandler = createResponseHandler()
+                .register('application/xml', (result) => `<name>${result.name}</name>`);
+
+            router = promiseRouter({ responseHandler });
+            router.get('/foo', (req, res) => Promise.resolve({ name: 'foo' }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo', { headers: { Accept: 'application/xml' } }))
+                .then((res) => {
+                    assert.match(res.headers['content-type'], /^application\/xml/);
+                    assert.equal(res.body, '<name>foo</name>');
+                });
+        });
+    });
+
+    describe('Reply test cases', function () {
+        it('should apply the status, headers and cookies before calling the response handler', function () {
+            const responseHandler = sinon.spy((res, result) => res.json(result));
+
+            router = promiseRouter({ responseHandler });
+            router.post('/foo', (req, res) => Promise.resolve(
+                reply({ id: 1 }).status(201).header('Location', '/foo/1').cookie('session', 'abc')
+            ));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo', { method: 'POST' }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 201);
+                    assert.equal(res.headers.location, '/foo/1');
+                    assert.match(res.headers['set-cookie'][0], /^session=abc/);
+                    assert.deepEqual(JSON.parse(res.body), { id: 1 });
+                    assert.deepEqual(responseHandler.firstCall.args[1], { id: 1 });
+                });
+        });
+
+        it('should send the body when no response handler is provided', function () {
+            router.get('/foo', (req, res) => reply('accepted').status(202));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 202);
+                    assert.equal(res.body, 'accepted');
+                });
+        });
+
+        it('should redirect without calling the response handler', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+
+            router = promiseRouter({ responseHandler });
+            router.get('/foo', (req, res) => Promise.resolve(reply().redirect('/bar', 301)));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo', { followRedirect: false }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 301);
+                    assert.equal(res.headers.location, '/bar');
+                    assert(responseHandler.notCalled);
+                });
+        });
+
+        it('should send empty replies with 204 by default', function () {
+            router.use('/foo', (req, res, next) => Promise.resolve(reply().empty()));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 204);
+                    assert.equal(res.body, '');
+                });
+        });
+    });
+
+    describe('HTTP error test cases', function () {
+        it('should carry the status, code, detail and extra fields', function () {
+            const error = new Conflict(undefined, { code: 'EMAIL_TAKEN', detail: 'Email is taken', field: 'email' });
+
+            assert.instanceOf(error, HttpError);
+            assert.equal(error.name, 'Conflict');
+            assert.equal(error.message, 'Conflict');
+            assert.equal(error.status, 409);
+            assert.equal(error.code, 'EMAIL_TAKEN');
+            assert.equal(error.detail, 'Email is taken');
+            assert.deepEqual(error.extra, { field: 'email' });
+            assert.isTrue(error.expose);
+        });
+
+        it('should make TimeoutError an HttpError', function () {
+            const error = new TimeoutError(10);
+
+            assert.instanceOf(error, HttpError);
+            assert.equal(error.status, 503);
+            assert.isFalse(error.expose);
+        });
+
+        it('should send HttpErrors as problem+json', function () {
+            router = promiseRouter({ errorHandler: problemErrorHandler({ exposeInternals: false }) });
+            router.get('/users/:id', (req, res) => {
+                throw new NotFound('User not found', { code: 'USER_NOT_FOUND', id: req.params.id });
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/users/1'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 404);
+                    assert.match(res.headers['content-type'], /^application\/problem\+json/);
+                    assert.deepEqual(JSON.parse(res.body), {
+                        type: 'about:blank',
+                        title: 'Not Found',
+                        status: 404,
+                        code: 'USER_NOT_FOUND',
+                        detail: 'User not found',
+                        id: '1',
+                        instance: '/users/1',
+                    });
+                });
+        });
+
+        it('should hide the details of unknown errors unless internals are exposed', function () {
+            const exposed = promiseRouter({ errorHandler: problemErrorHandler({ exposeInternals: true }) });
+            exposed.get('/exposed', (req, res) => Promise.reject(new Error('db down')));
+
+            router = promiseRouter({ errorHandler: problemErrorHandler({ exposeInternals: false }) });
+            router.get('/hidden', (req, res) => Promise.reject(new Error('db down')));
+            router.use(exposed);
+
+            return bootstrap(router)
+                .then(() => REQUEST('/hidden'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.deepEqual(JSON.parse(res.body), {
+                        type: 'about:blank',
+                        title: 'Internal Server Error',
+                        status: 500,
+                        instance: '/hidden',
+                    });
+                    return REQUEST('/exposed');
+                })
+                .then((res) => {
+                    const problem = JSON.parse(res.body);
+                    assert.equal(problem.status, 500);
+                    assert.equal(problem.detail, 'db down');
+                    assert.match(problem.stack, /^Error: db down/);
+                });
+        });
+    });
+
+    describe('Error mapper test cases', function () {
+        class ValidationError extends Error {}
+        class FieldError extends ValidationError {}
+
+        it('should use the first mapper whose class matches the error by prototype chain', function () {
+            const validationMapper = sinon.spy((error, req, res) => res.status(422).send(`invalid ${req.path}`));
+            const errorMapper = sinon.spy((error, req, res) => res.status(500).send());
+
+            router.onError(ValidationError, validationMapper).onError(Error, errorMapper);
+            router.get('/foo', (req, res) => Promise.reject(new FieldError()));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 422);
+                    assert.equal(res.body, 'invalid /foo');
+                    assert(validationMapper.calledOnce);
+                    assert(errorMapper.notCalled);
+                });
+        });
+
+        it('should match errors with a predicate', function () {
+            router.onError((error) => error.code === 'ECONNREFUSED', (error, req, res) => res.status(503).send());
+            router.get('/foo', (req, res) => {
+                const error = new Error('connection refused');
+                error.code = 'ECONNREFUSED';
+                throw error;
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => assert.equal(res.statusCode, 503));
+        });
+
+        it('should take priority over the error handler and fall through to it when nothing matches', function () {
+            const errorHandler = sinon.spy((res, error, req) => res.status(500).send(req.path));
+
+            router = promiseRouter({ errorHandler });
+            router.onError(ValidationError, (error, req, res) => res.status(422).send());
+            router.get('/invalid', (req, res) => Promise.reject(new ValidationError()));
+            router.get('/other', (req, res) => Promise.reject(new Error()));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/invalid'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 422);
+                    assert(errorHandler.notCalled);
+                    return REQUEST('/other');
+                })
+                .then((res) => {
+                    assert.equal(res.body, '/other');
+                    assert(errorHandler.calledOnce);
+                });
+        });
+
+        it('should call next with the error when nothing matches', function () {
+            router.onError(ValidationError, (error, req, res) => res.status(422).send());
+            router.get('/foo', (req, res) => Promise.reject(new Error('unmatched')));
+            router.use((err, req, res, next) => res.send(err.message));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'unmatched'));
+        });
+
+        it('should call next with the error of a failing mapper', function () {
+            router.onError(ValidationError, (error, req, res) => Promise.reject(new Error('mapper failed')));
+            router.get('/foo', (req, res) => Promise.reject(new ValidationError()));
+            router.use((err, req, res, next) => res.send(err.message));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'mapper failed'));
+        });
+
+        it('should call next with the error of a failing predicate', function () {
+            router.onError((error) => error.response.status === 404, (error, req, res) => res.send('mapped'));
+            router.get('/foo', (req, res) => Promise.reject(new Error('no response')));
+            router.use((err, req, res, next) => res.send(err.name));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'TypeError'));
+        });
+
+        it('should match instances of classes that do not extend Error', function () {
+            class Custom {}
+            router.onError(Custom, (error, req, res) => res.send('custom'));
+            router.onError(function isString(error) { return typeof error === 'string'; }, (error, req, res) => res.send(error));
+            router.get('/custom', (req, res) => Promise.reject(new Custom()));
+            router.get('/string', (req, res) => Promise.reject('string'));
+
+            return bootstrap(router)
+                .then(() => GET('/custom'))
+                .then((res) => assert.equal(res.body, 'custom'))
+                .then(() => GET('/string'))
+                .then((res) => assert.equal(res.body, 'string'));
+        });
+    });
+
+    describe('Option inheritance test cases', function () {
+        it('should make mounted child routers inherit unspecified options', function () {
+            const responseHandler = sinon.spy((res, result) => res.send(`parent ${result}`));
+            const errorHandler = sinon.spy((res, error) => res.status(500).send(`parent ${error.message}`));
+            const child = promiseRouter();
+
+            router = promiseRouter({ responseHandler, errorHandler });
+            router.use('/child', child);
+            child.get('/ok', (req, res) => Promise.resolve('ok'));
+            child.get('/fail', (req, res) => Promise.reject(new Error('fail')));
+
+            return bootstrap(router)
+                .then(() => GET('/child/ok'))
+                .then((res) => {
+                    assert.equal(res.body, 'parent ok');
+                    return REQUEST('/child/fail');
+                })
+                .then((res) => assert.equal(res.body, 'parent fail'));
+        });
+
+        it('should let child routers override inherited options', function () {
+            const parentHandler = sinon.spy((res, result) => res.send(`parent ${result}`));
+            const child = promiseRouter({ responseHandler: (res, result) => res.send(`child ${result}`) });
+
+            router = promiseRouter({ responseHandler: parentHandler, timeout: 1 });
+            child.get('/foo', (req, res) => new Promise((resolve) => delay(resolve, 'foo')));
+            router.use('/child', withOptions(() => 'next', { timeout: 1000 }), child);
+            router.use((err, req, res, next) => res.status(err.status).send());
+
+            return bootstrap(router)
+                .then(() => REQUEST('/child/foo'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 503);
+                    assert(parentHandler.notCalled);
+                });
+        });
+
+        it('should inherit options through route() chains and nested routers', function () {
+            const responseHandler = (res, result) => res.send(`root ${result}`);
+            const middle = promiseRouter();
+            const leaf = promiseRouter();
+
+            router = promiseRouter({ responseHandler });
+            router.route('/middle').all(middle);
+            router.use('/nested', middle);
+            middle.use('/leaf', leaf);
+            leaf.get('/', (req, res) => Promise.resolve('leaf'));
+            middle.get('/middle', (req, res) => Promise.resolve('middle'));
+
+            return bootstrap(router)
+                .then(() => GET('/nested/leaf'))
+                .then((res) => {
+                    assert.equal(res.body, 'root leaf');
+                    return GET('/middle');
+                })
+                .then((res) => assert.equal(res.body, 'root middle'));
+        });
+
+        it('should inherit error mappers after the ones of the child', function () {
+            const child = promiseRouter();
+
+            router.onError(Error, (error, req, res) => res.send('parent mapper'));
+            child.onError((error) => error.message === 'child', (error, req, res) => res.send('child mapper'));
+            child.get('/child', (req, res) => Promise.reject(new Error('child')));
+            child.get('/parent', (req, res) => Promise.reject(new Error('parent')));
+            router.use(child);
+
+            return bootstrap(router)
+                .then(() => GET('/child'))
+                .then((res) => {
+                    assert.equal(res.body, 'child mapper');
+                    return GET('/parent');
+                })
+                .then((res) => assert.equal(res.body, 'parent mapper'));
+        });
+
+        it('should not inherit options when inheritOptions is false', function () {
+            const errorHandler = sinon.spy((res, error) => res.status(500).send());
+            const child = promiseRouter({ inheritOptions: false });
+
+            router = promiseRouter({ errorHandler });
+            child.get('/foo', (req, res) => Promise.reject(new Error('own')));
+            router.use(child);
+            router.use((err, req, res, next) => res.send(err.message));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'own');
+                    assert(errorHandler.notCalled);
+                });
+        });
+
+        it('should inherit from the router the request went through when mounted on several', function () {
+            const shared = promiseRouter();
+            const a = promiseRouter({ responseHandler: (res, result) => res.send(`A:${result}`) });
+            const b = promiseRouter({ responseHandler: (res, result) => res.send(`B:${result}`) });
+            const bEvents = sinon.spy();
+
+            shared.get('/foo', (req, res) => Promise.resolve('val'));
+            shared.get('/fail', (req, res) => Promise.reject(new Error('failed')));
+            a.onError(Error, (error, req, res) => res.send(`A:${error.message}`));
+            b.onError(Error, (error, req, res) => res.send(`B:${error.message}`));
+            b.on('handlerResolve', bEvents);
+            a.use(shared);
+            b.use(shared);
+            router.use('/a', a);
+            router.use('/b', b);
+
+            return bootstrap(router)
+                .then(() => GET('/a/foo'))
+                .then((res) => assert.equal(res.body, 'A:val'))
+                .then(() => assert(bEvents.notCalled))
+                .then(() => GET('/b/foo'))
+                .then((res) => assert.equal(res.body, 'B:val'))
+                .then(() => GET('/a/fail'))
+                .then((res) => assert.equal(res.body, 'A:failed'))
+                .then(() => GET('/b/fail'))
+                .then((res) => assert.equal(res.body, 'B:failed'));
+        });
+
+        it('should inherit from the application the request went through when mounted on several', function () {
+            const shared = express();
+            const a = promisifyApp(express(), { responseHandler: (res, result) => res.send(`A:${result}`) });
+            const b = promisifyApp(express(), { responseHandler: (res, result) => res.send(`B:${result}`) });
+
+            a.use(shared);
+            b.use(shared);
+            shared.get('/foo', (req, res) => Promise.resolve('val'));
+            router.use('/a', a);
+            router.use('/b', b);
+
+            return bootstrap(router)
+                .then(() => GET('/a/foo'))
+                .then((res) => assert.equal(res.body, 'A:val'))
+                .then(() => GET('/b/foo'))
+                .then((res) => assert.equal(res.body, 'B:val'));
+        });
+    });
+
+    describe('Route options test cases', function () {
+        it('should apply options provided at registration only to that route', function () {
+            const responseHandler = sinon.spy((res, result) => res.json(result));
+            const csvHandler = (res, result) => res.type('text/csv').send(result.join(','));
+
+            router = promiseRouter({ responseHandler });
+            router.get('/export', { responseHandler: csvHandler }, (req, res) => Promise.resolve(['a', 'b']));
+            router.get('/json', (req, res) => Promise.resolve(['a', 'b']));
+
+            return bootstrap(router)
+                .then(() => GET('/export'))
+                .then((res) => {
+                    assert.equal(res.body, 'a,b');
+                    assert(responseHandler.notCalled);
+                    return GET('/json');
+                })
+                .then((res) => {
+                    assert.equal(res.body, '["a","b"]');
+                    assert(responseHandler.calledOnce);
+                });
+        });
+
+        it('should apply route options to every handler of the route', function () {
+            const errorHandler = sinon.spy((res, error) => res.status(500).send());
+            const webhookErrorHandler = (res, error) => res.status(200).send('ignored');
+
+            router = promiseRouter({ errorHandler });
+            router.post('/webhook', { errorHandler: webhookErrorHandler, timeout: 1000 }, [
+                (req, res, next) => Promise.resolve('next'),
+                (req, res) => Promise.reject(new Error('failed')),
+            ]);
+
+            return bootstrap(router)
+                .then(() => GET('/webhook', { method: 'POST' }))
+                .then((res) => {
+                    assert.equal(res.body, 'ignored');
+                    assert(errorHandler.notCalled);
+                });
+        });
+
+        it('should accept route options in route() chains and without a path', function () {
+            const responseHandler = (res, result) => res.send(`route ${result}`);
+
+            router.route('/foo').get({ responseHandler }, (req, res) => Promise.resolve('foo'));
+            router.use({ timeout: 1 }, (req, res, next) => new Promise(() => {}));
+            router.use((err, req, res, next) => res.status(err.status).send());
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'route foo');
+                    return REQUEST('/bar');
+                })
+                .then((res) => assert.equal(res.statusCode, 503));
+        });
+
+        it('should let options attached with withOptions override route options', function () {
+            const responseHandler = (res, result) => res.send(`route ${result}`);
+            const handlerResponseHandler = (res, result) => res.send(`handler ${result}`);
+
+            router.get(
+                '/foo',
+                { responseHandler, timeout: undefined },
+                withOptions((req, res) => Promise.resolve('foo'), { responseHandler: handlerResponseHandler })
+            );
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'handler foo'));
+        });
+    });
+
+    describe('Validation test cases', function () {
+        const schema = {
+            params: { type: 'object', properties: { id: { type: 'integer' } } },
+            query: {
+                type: 'object',
+                properties: {
+                    page: { type: 'integer', minimum: 1, default: 1 },
+                    tags: { type: 'array', items: { type: 'string' } },
+                },
+            },
+        };
+
+        it('should coerce and apply defaults before the handler runs', function () {
+            router.get('/foo/:id', { schema }, (req, res) => res.json({ params: req.params, query: req.query }));
+
+            return bootstrap(router)
+                .then(() => GET('/foo/12?tags=a'))
+                .then((res) => {
+                    assert.deepEqual(JSON.parse(res.body), { params: { id: 12 }, query: { page: 1, tags: ['a'] } });
+                });
+        });
+
+        it('should coerce the params of handlers registered with use', function () {
+            const errorHandler = sinon.spy(problemErrorHandler());
+
+            router = promiseRouter({ errorHandler });
+            router.use('/users/:id', { schema }, (req, res, next) => {
+                req.types = [typeof req.params.id];
+                next();
+            }, (req, res) => res.json(req.types.concat(typeof req.params.id)));
+
+            return bootstrap(router)
+                .then(() => GET('/users/12'))
+                .then((res) => assert.deepEqual(JSON.parse(res.body), ['number', 'number']))
+                .then(() => REQUEST('/users/bar'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 400);
+                    assert.isTrue(errorHandler.calledOnce);
+                });
+        });
+
+        it('should reject invalid requests with a ValidationError without calling the handler', function () {
+            const handler = sinon.spy((req, res) => res.send());
+            const errorHandler = sinon.spy(problemErrorHandler());
+
+            router = promiseRouter({ errorHandler });
+            router.get('/foo/:id', { schema }, handler);
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo/bar?page=0'))
+                .then((res) => {
+                    const problem = JSON.parse(res.body);
+                    assert.equal(res.statusCode, 400);
+                    assert.equal(problem.code, 'VALIDATION_FAILED');
+                    assert.deepEqual(problem.errors, [
+                        { path: '/params/id', keyword: 'type', message: 'must be integer' },
+                        { path: '/query/page', keyword: 'minimum', message: 'must be greater than or equal to 1' },
+                    ]);
+                    assert.instanceOf(errorHandler.firstCall.args[1], ValidationError);
+                    assert(handler.notCalled);
+                });
+        });
+
+        it('should validate the body and headers without coercing the body', function () {
+            const bodySchema = {
+                headers: { type: 'object', required: ['x-api-key'] },
+                body: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: { name: { type: 'string' }, age: { type: 'integer' } },
+                    additionalProperties: false,
+                },
+            };
+
+            router.use(express.json());
+            router.post('/foo', { schema: bodySchema }, (req, res) => res.json(req.body));
+            router.use((err, req, res, next) => res.status(err.status).json(err.errors));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo', { method: 'POST', json: { age: '3', admin: true } }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 400);
+                    assert.deepEqual(res.body.map((issue) => issue.path), [
+                        '/headers/x-api-key',
+                        '/body/name',
+                        '/body/age',
+                        '/body/admin',
+                    ]);
+                    return REQUEST('/foo', { method: 'POST', json: { name: 'foo' }, headers: { 'X-Api-Key': 'key' } });
+                })
+                .then((res) => assert.deepEqual(res.body, { name: 'foo' }));
+        });
+
+        it('should use the validator provided to the router', function () {
+            const validate = sinon.spy(() => ({ valid: false, errors: [{ path: '', message: 'custom' }] }));
+            const validator = { compile: sinon.spy(() => validate) };
+
+            router = promiseRouter({ validator });
+            router.get('/foo', { schema: { query: { custom: true } } }, (req, res) => res.send());
+            router.use((err, req, res, next) => res.status(err.status).json(err.errors));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => REQUEST('/foo'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 400);
+                    assert.deepEqual(JSON.parse(res.body), [{ path: '/query', message: 'custom' }]);
+                    assert(validator.compile.calledOnce);
+                    assert.deepEqual(validator.compile.firstCall.args, [{ custom: true }, { coerce: true }]);
+                    assert(validate.calledTwice);
+                });
+        });
+    });
+
+    describe('Response schema test cases', function () {
+        const schema = {
+            response: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name'],
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string' },
+                        profile: { type: 'object', properties: { bio: { type: 'string' } } },
+                    },
+                },
+            },
+        };
+        const users = [
+            { id: 1, name: 'foo', passwordHash: 'secret', profile: { bio: 'hi', token: 'secret' } },
+            { id: 2, passwordHash: 'secret' },
+        ];
+
+        it('should remove undeclared properties before calling the response handler', function () {
+            const responseHandler = sinon.spy((res, result) => res.json(result));
+
+            router = promiseRouter({ responseHandler });
+            router.get('/users', { schema }, (req, res) => Promise.resolve(users));
+
+            return bootstrap(router)
+                .then(() => GET('/users'))
+                .then((res) => {
+                    assert.deepEqual(JSON.parse(res.body), [{ id: 1, name: 'foo', profile: { bio: 'hi' } }, { id: 2 }]);
+                    assert.equal(users[0].passwordHash, 'secret');
+                });
+        });
+
+        it('should filter the body of a reply when no response handler is provided', function () {
+            router.get('/users', { schema }, (req, res) => reply(users).status(200));
+
+            return bootstrap(router)
+                .then(() => GET('/users'))
+                .then((res) => assert.notInclude(res.body, 'secret'));
+        });
+
+        it('should report violations when enabled', function () {
+            const reportResponseViolations = sinon.spy();
+
+            router = promiseRouter({ responseHandler: (res, result) => res.json(result), reportResponseViolations });
+            router.get('/users', { schema }, (req, res) => Promise.resolve(users));
+            router.get('/unreported', { schema, reportResponseViolations: false }, (req, res) => Promise.resolve(users));
+
+            return bootstrap(router)
+                .then(() => GET('/users'))
+                .then(() => GET('/unreported'))
+                .then(() => {
+                    assert(reportResponseViolations.calledOnce);
+                    assert.deepEqual(reportResponseViolations.firstCall.args[0], [
+                        { path: '/1/name', keyword: 'required', message: 'is required' },
+                    ]);
+                    assert.equal(reportResponseViolations.firstCall.args[1].path, '/users');
+                });
+        });
+    });
+
+    describe('Route registry test cases', function () {
+        it('should list routes with their method, path, handlers, kinds and options', function () {
+            function authenticate(req, res, next) {}
+            function listUsers(req, res) {}
+            const options = { timeout: 1000 };
+
+            router.use(authenticate);
+            router.get('/users', options, authenticate, listUsers);
+            router.post(['/a', '/b'], (req, res) => {});
+            router.get(/^\/regexp/, listUsers);
+            router.param('id', (req, res, next, id) => {});
+
+            assert.deepEqual(router.routes(), [
+                { method: 'USE', path: '/', handlers: ['authenticate'], kinds: ['middleware'], options: {} },
+                {
+                    method: 'GET',
+                    path: '/users',
+                    handlers: ['authenticate', 'listUsers'],
+                    kinds: ['middleware', 'terminal'],
+                    options,
+                },
+                { method: 'POST', path: '/a', handlers: ['<anonymous>'], kinds: ['terminal'], options: {} },
+                { method: 'POST', path: '/b', handlers: ['<anonymous>'], kinds: ['terminal'], options: {} },
+                { method: 'GET', path: /^\/regexp/, handlers: ['listUsers'], kinds: ['terminal'], options: {} },
+            ]);
+        });
+
+        it('should list routes registered through route() chains', function () {
+            function getUser(req, res) {}
+            function updateUser(req, res) {}
+
+            router.route('/users/:id').get(getUser).put({ schema: {} }, updateUser);
+
+            assert.deepEqual(router.routes().map((route) => [route.method, route.path, route.handlers[0]]), [
+                ['GET', '/users/:id', 'getUser'],
+                ['PUT', '/users/:id', 'updateUser'],
+            ]);
+        });
+
+        it('should expand mounted routers with their mount path as a prefix', function () {
+            const users = promiseRouter();
+            const admin = promiseRouter();
+            function handler(req, res) {}
+
+            router.use('/api', users);
+            router.use('/api/', admin);
+            users.get('/users', handler);
+            users.use('/admin', admin);
+            admin.get('/', handler);
+            admin.get(/\/stats$/, handler);
+
+            assert.deepEqual(router.routes().map((route) => [route.method, route.path]), [
+                ['GET', '/api/users'],
+                ['GET', '/api/admin'],
+                ['GET', /^\/api\/admin\/stats$/],
+                ['GET', '/api'],
+                ['GET', /^\/api\/stats$/],
+            ]);
+        });
+    });
+
+    describe('OpenAPI test cases', function () {
+        it('should convert express paths to OpenAPI path templates', function () {
+            assert.equal(toOpenApiPath('/users/:id'), '/users/{id}');
+            assert.equal(toOpenApiPath('/users/:id(\\d+)/posts/:postId?'), '/users/{id}/posts/{postId}');
+            assert.isUndefined(toOpenApiPath('/files/*'));
+            assert.isUndefined(toOpenApiPath(/^\/users/));
+        });
+
+        it('should describe routes with their summary, tags, schemas and errors', function () {
+            const user = { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } };
+            const admin = promiseRouter();
+
+            router.get(
+                '/users/:id',
+                {
+                    summary: 'Get a user',
+                    tags: ['users'],
+                    schema: { params: { properties: { id: { type: 'integer' } } }, response: user },
+                    errors: { 404: 'The user does not exist' },
+                },
+                (req, res) => {}
+            );
+            router.post(
+                '/users',
+                { schema: { query: { properties: { notify: { type: 'boolean' } } }, body: user } },
+                (req, res) => {}
+            );
+            router.use('/admin', admin);
+            admin.delete('/cache', (req, res) => {});
+            router.get(/^\/legacy/, (req, res) => {});
+            router.get('/internal', { hidden: true }, (req, res) => {});
+
+            const document = router.openapi({ info: { title: 'Users', version: '2.0.0' } });
+
+            assert.equal(document.openapi, '3.0.3');
+            assert.deepEqual(document.info, { title: 'Users', version: '2.0.0' });
+            assert.deepEqual(Object.keys(document.paths), ['/users/{id}', '/users', '/admin/cache']);
+            assert.deepEqual(document.paths['/users/{id}'].get, {
+                summary: 'Get a user',
+                tags: ['users'],
+                parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+                responses: {
+                    200: { description: 'OK', content: { 'application/json': { schema: user } } },
+                    400: {
+                        description: 'Request validation failed',
+                        content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+                    },
+                    404: {
+                        description: 'The user does not exist',
+                        content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } },
+                    },
+                },
+            });
+            assert.deepEqual(document.paths['/users'].post.parameters, [
+                { name: 'notify', in: 'query', required: false, schema: { type: 'boolean' } },
+            ]);
+            assert.deepEqual(document.paths['/users'].post.requestBody, {
+                required: true,
+                content: { 'application/json': { schema: user } },
+            });
+            assert.deepEqual(document.paths['/admin/cache'].delete.responses, { 200: { description: 'OK' } });
+            assert.property(document.components.schemas, 'Problem');
+        });
+
+        it('should serve the document of the router', function () {
+            router.serveOpenApi('/docs.json', { info: { title: 'Users' } });
+            router.get('/users/:id', { summary: 'Get a user' }, (req, res) => {});
+
+            return bootstrap(router)
+                .then(() => GET('/docs.json', { json: true }))
+                .then((res) => {
+                    const document = res.body;
+                    assert.deepEqual(document.info, { title: 'Users', version: '1.0.0' });
+                    assert.deepEqual(Object.keys(document.paths), ['/users/{id}']);
+                    assert.equal(document.paths['/users/{id}'].get.summary, 'Get a user');
+                });
+        });
+    });
+
+    describe('Lifecycle event test cases', function () {
+        it('should emit the events of a handler that resolves and is sent', function () {
+            const events = [];
+            router = promiseRouter({ responseHandler: (res, result) => res.send(result) });
+            ['handlerStart', 'handlerResolve', 'handlerReject', 'sentinel', 'responseHandled'].forEach((name) => {
+                router.on(name, (event) => events.push(Object.assign({ name }, event)));
+            });
+
+            router.get('/foo', function getFoo(req, res) {
+                return Promise.resolve('foo');
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then(() => {
+                    assert.deepEqual(events.map((event) => event.name), ['handlerStart', 'handlerResolve', 'responseHandled']);
+                    events.forEach((event) => {
+                        assert.equal(event.method, 'GET');
+                        assert.equal(event.path, '/foo');
+                        assert.equal(event.handler, 'getFoo');
+                        assert.equal(event.kind, 'terminal');
+                        assert.isNumber(event.duration);
+                        assert.property(event, 'req');
+                    });
+                    assert.equal(events[1].result, 'foo');
+                });
+        });
+
+        it('should emit sentinels and rejections of mounted routers on the parent', function () {
+            const child = promiseRouter({ errorHandler: (res, error) => res.status(500).send(error.message) });
+            const events = [];
+            const removed = sinon.spy();
+            router.on('sentinel', (event) => events.push(['sentinel', event.handler, event.sentinel]));
+            router.on('handlerReject', (event) => events.push(['handlerReject', event.handler, event.error.message]));
+            router.on('handlerStart', removed);
+            router.off('handlerStart', removed);
+
+            router.use('/child', child);
+            child.use(function skip(req, res, next) {
+                return Promise.resolve('next');
+            });
+            child.get('/', function fail(req, res) {
+                return Promise.reject(new Error('failed'));
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/child'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.deepEqual(events, [['sentinel', 'skip', 'next'], ['handlerReject', 'fail', 'failed']]);
+                    assert.isFalse(removed.called);
+                });
+        });
+    });
+
+    describe('Server-Timing test cases', function () {
+        it('should add an entry per handler along with the custom marks of the handlers', function () {
+            router = promiseRouter({ serverTiming: true, responseHandler: (res, result) => res.send(result) });
+
+            router.get(
+                '/users/:id',
+                { schema: { params: { properties: { id: { type: 'integer' } } } } },
+                function authenticate(req, res) {
+                    return new Promise((resolve) => delay(resolve, 'next'));
+                },
+                withOptions(
+                    terminal((req) => {
+                        const end = req.serverTiming('cache');
+                        req.serverTiming('db', 12.34, 'Database "users"');
+                        end();
+                        return 'user';
+                    }),
+                    { timingLabel: 'load' }
+                )
+            );
+
+            return bootstrap(router)
+                .then(() => GET('/users/1'))
+                .then((res) => {
+                    const entries = res.headers['server-timing'].split(', ');
+                    assert.deepEqual(entries.map((entry) => entry.split(';')[0]), [
+                        'validation',
+                        'authenticate',
+                        'db',
+                        'cache',
+                        'load',
+                    ]);
+                    assert.match(entries[1], /^authenticate;dur=\d+(\.\d)?$/);
+                    assert.equal(entries[2], 'db;dur=12.3;desc="Database \\"users\\""');
+                });
+        });
+
+        it('should not add the header unless enabled', function () {
+            router.get('/foo', (req, res) => {
+                res.send(typeof req.serverTiming);
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    assert.equal(res.body, 'undefined');
+                    assert.notProperty(res.headers, 'server-timing');
+                });
+        });
+    });
+
+    describe('Request context test cases', function () {
+        // Contexts require AsyncLocalStorage, without it handlers run without one
+        before(function () {
+            if (!require('async_hooks').AsyncLocalStorage) {
+                this.skip();
+            }
+        });
+
+        const findUser = () => new Promise((resolve) => delay(resolve)).then(() => ({ requestId: getContext('requestId') }));
+
+        it('should keep a context per request across awaits, visible from the response handler', function () {
+            router = promiseRouter({
+                responseHandler: (res, result) => res.json(Object.assign({ handledFor: getContext('requestId') }, result)),
+            });
+
+            router.use((req, res, next) => {
+                return new Promise((resolve) => delay(resolve)).then(() => {
+                    setContext('requestId', req.get('x-request-id'));
+                    return 'next';
+                });
+            });
+            router.get('/user', (req, res) => findUser());
+
+            const request = (id) => GET('/user', { headers: { 'x-request-id': id }, json: true });
+            return bootstrap(router)
+                .then(() => Promise.all([request('a'), request('b')]))
+                .then(([a, b]) => {
+                    assert.deepEqual(a.body, { handledFor: 'a', requestId: 'a' });
+                    assert.deepEqual(b.body, { handledFor: 'b', requestId: 'b' });
+                });
+        });
+
+        it('should make the context visible from the error handler', function () {
+            router = promiseRouter({
+                errorHandler: (res, error) => res.status(500).send(`${error.message} in ${getContext('requestId')}`),
+            });
+
+            router.get('/fail', (req, res) => {
+                setContext('requestId', '42');
+                return Promise.reject(new Error('failed'));
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/fail'))
+                .then((res) => {
+                    assert.equal(res.body, 'failed in 42');
+                });
+        });
+
+        it('should not have a context outside of a request', function () {
+            assert.isUndefined(getContext());
+            assert.throws(() => setContext('requestId', '42'), /while a request is being handled/);
+        });
+    });
+
+    describe('Cancellation test cases', function () {
+        // Requests only get a signal when AbortController is available
+        before(function () {
+            if (typeof AbortController === 'undefined') {
+                this.skip();
+            }
+        });
+
+        it('should abort the signal when the client disconnects and discard the outcome of the handler', function () {
+            const responseHandler = sinon.spy();
+            const errorHandler = sinon.spy();
+            router = promiseRouter({ responseHandler, errorHandler });
+            let settled;
+            const handled = new Promise((resolve) => (settled = resolve));
+
+            router.get('/slow', (req, res) => {
+                return new Promise((resolve) => setTimeout(resolve, 100, 'late')).then((result) => {
+                    settled(req.signal.aborted);
+                    return result;
+                });
+            });
+            router.get('/failing', (req, res) => {
+                return new Promise((resolve, reject) => {
+                    req.signal.addEventListener('abort', () => reject(new Error('aborted')));
+                });
+            });
+
+            const disconnect = (route) => REQUEST(route, { timeout: 30 }).catch((error) => error);
+            return bootstrap(router)
+                .then(() => disconnect('/slow'))
+                .then(() => handled)
+                .then((aborted) => new Promise((resolve) => setImmediate(resolve, aborted)))
+                .then((aborted) => {
+                    assert.isTrue(aborted);
+                    assert.isFalse(responseHandler.called);
+                })
+                .then(() => disconnect('/failing'))
+                .then(() => new Promise((resolve) => setTimeout(resolve, 10)))
+                .then(() => {
+                    assert.isFalse(errorHandler.called);
+                });
+        });
+
+        it('should abort the signal when the timeout fires and still handle the TimeoutError', function () {
+            let signal;
+            router = promiseRouter({ timeout: 20, errorHandler: (res, error) => res.status(error.status).send(error.code) });
+
+            router.get('/slow', (req, res) => {
+                signal = req.signal;
+                return new Promise(() => {});
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/slow'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 503);
+                    assert.equal(res.body, 'HANDLER_TIMEOUT');
+                    assert.isTrue(signal.aborted);
+                    assert.instanceOf(signal.reason, TimeoutError);
+                });
+        });
+
+        it('should let the error handlers the TimeoutError reaches respond', function () {
+            router = promiseRouter({ timeout: 20 });
+
+            router.get('/mapped', (req, res) => new Promise(() => {}));
+            router.get('/reply', (req, res) => new Promise(() => {}));
+            router.use((err, req, res, next) => {
+                if (req.path === '/mapped') {
+                    return Promise.reject(new Error(`mapped: ${err.message}`));
+                }
+                return Promise.resolve(reply({ code: err.code }).status(503));
+            });
+            router.use((err, req, res, next) => res.status(500).send(err.message));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/mapped'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.match(res.body, /^mapped: /);
+                })
+                .then(() => REQUEST('/reply', { json: true }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 503);
+                    assert.deepEqual(res.body, { code: 'HANDLER_TIMEOUT' });
+                });
+        });
+    });
+
+    describe('Headers sent test cases', function () {
+        it('should report a result resolved after the response was sent instead of sending it', function () {
+            const responseHandler = sinon.spy();
+            const headersSentReporter = sinon.spy();
+            router = promiseRouter({ responseHandler, headersSentReporter });
+
+            router.get('/foo', function getFoo(req, res) {
+                res.send('sent');
+                return Promise.resolve('foo');
+            });
+            router.get('/bar', function getBar(req, res) {
+                res.send('sent');
+                return Promise.resolve();
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then(() => GET('/bar'))
+                .then(() => new Promise((resolve) => setImmediate(resolve)))
+                .then(() => {
+                    assert.isFalse(responseHandler.called);
+                    assert.isTrue(headersSentReporter.calledOnce);
+                    const issue = headersSentReporter.firstCall.args[0];
+                    assert.equal(issue.message, 'Handler getFoo of GET /foo resolved with a result after the response was sent');
+                    assert.equal(issue.handler, 'getFoo');
+                    assert.equal(issue.path, '/foo');
+                    assert.equal(issue.result, 'foo');
+                });
+        });
+
+        it('should report a rejection that arrives after the response was sent instead of calling next', function () {
+            const errorHandler = sinon.spy();
+            const headersSentReporter = sinon.spy();
+            router = promiseRouter({ headersSentReporter });
+
+            router.get('/foo', (req, res) => {
+                res.send('sent');
+                return Promise.reject(new Error('too late'));
+            });
+            router.use((err, req, res, next) => errorHandler(err));
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then(() => new Promise((resolve) => setImmediate(resolve)))
+                .then(() => {
+                    assert.isFalse(errorHandler.called);
+                    assert.equal(
+                        headersSentReporter.firstCall.args[0].message,
+                        'Handler <anonymous> of GET /foo was rejected after the response was sent: too late'
+                    );
+                    assert.equal(headersSentReporter.firstCall.args[0].error.message, 'too late');
+                });
+        });
+
+        it('should close a response left unfinished by a rejection', function () {
+            const headersSentReporter = sinon.spy();
+            router = promiseRouter({ headersSentReporter });
+
+            router.get('/foo', (req, res) => {
+                res.write('partial');
+                return Promise.reject(new Error('failed midway'));
+            });
+
+            return bootstrap(router)
+                .then(() => isCutOff('/foo'))
+                .then((cutOff) => {
+                    assert.isTrue(cutOff);
+                    assert.isTrue(headersSentReporter.calledOnce);
+                });
+        });
+
+        it('should emit a warning outside of production when no reporter is provided', function () {
+            const warning = new Promise((resolve) => process.once('warning', resolve));
+
+            router.get('/foo', function getFoo(req, res) {
+                res.send('sent');
+                return Promise.resolve(reply('foo'));
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then(() => warning)
+                .then((warning) => {
+                    assert.equal(warning.name, 'HeadersSentWarning');
+                    assert.include(warning.message, 'getFoo of GET /foo');
+                });
+        });
+    });
+
+    describe('Strict handlers test cases', function () {
+        it('should report a middleware that resolves without calling next', function () {
+            const warning = new Promise((resolve) => process.once('warning', resolve));
+            router = promiseRouter({ strictHandlers: true });
+
+            router.use(function forgetful(req, res, next) {
+                return Promise.resolve();
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo', { timeout: 50 }).catch((error) => error))
+                .then(() => warning)
+                .then((warning) => {
+                    assert.equal(warning.name, 'HangingRequestWarning');
+                    assert.equal(
+                        warning.message,
+                        'Handler forgetful of GET / resolved without calling next or sending a response'
+                    );
+                });
+        });
+
+        it('should fail the request with a 500 when set to respond', function () {
+            const warning = sinon.spy();
+            process.once('warning', warning);
+            router = promiseRouter({
+                strictHandlers: 'respond',
+                errorHandler: (res, error) => res.status(error.status).send(error.message),
+            });
+
+            router.get('/foo', function getFoo(req, res) {
+                return Promise.resolve({ forgot: 'to send' });
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/foo'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.equal(res.body, 'Handler getFoo of GET /foo resolved without calling next or sending a response');
+                    assert.isTrue(warning.calledOnce);
+                });
+        });
+
+        it('should not report handlers that call next or send the response on their own', function () {
+            const warning = sinon.spy();
+            process.on('warning', warning);
+            router = promiseRouter({ strictHandlers: 'respond' });
+
+            router.use((req, res, next) => {
+                return new Promise((resolve) => delay(resolve)).then(() => next());
+            });
+            router.get('/foo', (req, res) => {
+                return new Promise((resolve) => delay(resolve)).then(() => res.send('foo'));
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => {
+                    process.removeListener('warning', warning);
+                    assert.equal(res.body, 'foo');
+                    assert.isFalse(warning.called);
+                });
+        });
+
+        it('should not fail handlers that start sending a file without waiting for it', function () {
+            const warning = sinon.spy();
+            process.on('warning', warning);
+            router = promiseRouter({ strictHandlers: 'respond' });
+
+            router.get('/file', (req, res) => {
+                return Promise.resolve().then(() => {
+                    res.sendFile(__filename);
+                });
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/file'))
+                .then((res) => {
+                    assert.include(res.body, 'should not fail handlers that start sending a file');
+                    return new Promise((resolve) => setTimeout(resolve, 150));
+                })
+                .then(() => {
+                    process.removeListener('warning', warning);
+                    assert.isFalse(warning.called);
+                });
+        });
+    });
+
+    describe('Sentinel test cases', function () {
+        it('should call next, skip the route or leave the router when resolved with a sentinel', function () {
+            const child = promiseRouter();
+            const skipped = sinon.spy();
+
+            router.use(child);
+            child.use((req, res, next) => Promise.resolve(NEXT));
+            child.use('/router', (req, res, next) => Promise.resolve(NEXT_ROUTER));
+            child.get('/router', skipped);
+            child.get('/route', (req, res, next) => NEXT_ROUTE, skipped);
+            child.get('/route', (req, res) => {
+                res.send('next route');
+            });
+            router.get('/router', (req, res) => {
+                res.send('parent router');
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/route'))
+                .then((res) => assert.equal(res.body, 'next route'))
+                .then(() => GET('/router'))
+                .then((res) => {
+                    assert.equal(res.body, 'parent router');
+                    assert.isFalse(skipped.called);
+                });
+        });
+
+        it('should send the legacy strings as results when they are turned off', function () {
+            router = promiseRouter({ legacySentinels: false, responseHandler: (res, result) => res.send(result) });
+
+            router.use((req, res, next) => NEXT);
+            router.get('/step', (req, res) => Promise.resolve('next'));
+
+            return bootstrap(router)
+                .then(() => GET('/step'))
+                .then((res) => {
+                    assert.equal(res.body, 'next');
+                });
+        });
+    });
+
+    describe('Router backend test cases', function () {
+        // Handles returned promises like the routers of Express 5 and of the router package do
+        const nativePromiseRouter = (returned) => (options) => {
+            const backend = express.Router(options);
+            const handlePromise = (ret, next) => {
+                returned.push(ret);
+                if (ret && typeof ret.then === 'function') {
+                    ret.then(null, (error) => next(error || new Error('Rejected promise')));
+                }
+            };
+            const native = (handler) =>
+                handler.length === 4
+                    ? (err, req, res, next) => handlePromise(handler(err, req, res, next), next)
+                    : (req, res, next) => handlePromise(handler(req, res, next), next);
+            const nativeArgs = (args) => args.map((arg) => (typeof arg === 'function' ? native(arg) : arg));
+
+            const { use, route } = backend;
+            backend.use = function () {
+                return use.apply(this, nativeArgs(Array.from(arguments)));
+            };
+            backend.route = function (path) {
+                const backendRoute = route.call(this, path);
+                const { get } = backendRoute;
+                backendRoute.get = function () {
+                    return get.apply(this, nativeArgs(Array.from(arguments)));
+                };
+                return backendRoute;
+            };
+            return backend;
+        };
+
+        it('should wrap the router created by the factory without returning promises to it', function () {
+            const returned = [];
+            const responseHandler = sinon.spy((res, result) => res.send(result));
+            const errorHandler = sinon.spy();
+            router = promiseRouter({ routerFactory: nativePromiseRouter(returned), responseHandler });
+
+            router.use((req, res, next) => Promise.resolve(NEXT));
+            router.get('/foo', (req, res) => Promise.resolve('foo'));
+            router.get('/fail', (req, res) => Promise.reject(new Error('failed')));
+            router.use((err, req, res, next) => {
+                errorHandler(err);
+                res.status(500).send(err.message);
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/foo'))
+                .then((res) => assert.equal(res.body, 'foo'))
+                .then(() => REQUEST('/fail'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.isTrue(responseHandler.calledOnce);
+                    assert.isTrue(errorHandler.calledOnce);
+                    assert.isNotEmpty(returned);
+                    returned.forEach((ret) => assert.isUndefined(ret));
+                });
+        });
+
+        it('should work with the router of Express 5, including the coerced query', function () {
+            // Express 5 requires node 18 or later
+            if (Number(process.versions.node.split('.')[0]) < 18) {
+                this.skip();
+            }
+            const express5 = require('express5');
+            router = promiseRouter({ routerFactory: express5.Router, responseHandler: (res, result) => res.json(result) });
+
+            router.get(
+                '/users/:id',
+                {
+                    schema: {
+                        params: { properties: { id: { type: 'integer' } } },
+                        query: { properties: { limit: { type: 'integer' } } },
+                    },
+                },
+                (req, res) => Promise.resolve({ id: req.params.id, limit: req.query.limit })
+            );
+            router.get('/fail', (req, res) => Promise.reject(new Error('failed')));
+            router.use((err, req, res, next) => res.status(500).send(err.message));
+
+            const app5 = express5();
+            app5.use(router);
+            serverListening = new Promise((resolve) => {
+                server = app5.listen(12345, resolve);
+            });
+            return serverListening
+                .then(() => REQUEST('/users/1?limit=10', { json: true }))
+                .then((res) => assert.deepEqual(res.body, { id: 1, limit: 10 }))
+                .then(() => REQUEST('/fail'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.equal(res.body, 'failed');
+                });
+        });
+
+        it('should not leave the original methods on the router and its routes', function () {
+            const route = router.route('/foo');
+
+            assert.notProperty(router, '__route');
+            assert.notProperty(router, '__get');
+            assert.notProperty(route, '__get');
+        });
+    });
+
+    describe('Application test cases', function () {
+        const listen = (promisedApp) => {
+            app = promisedApp;
+            serverListening = new Promise((resolve) => {
+                server = app.listen(12345, resolve);
+            });
+            return serverListening;
+        };
+        const responseHandler = (res, result) => res.send(result);
+        const errorHandler = (res, error) => res.status(500).send(error.message);
+
+        it('should apply the promise handling to the routes of the application', function () {
+            const promised = promisifyApp(express(), { responseHandler, errorHandler });
+            promised.set('title', 'users');
+
+            promised.param('id', (req, res, next, id) => {
+                req.userId = Number(id);
+                return Promise.resolve(NEXT);
+            });
+            promised.get('/users/:id', (req, res) => Promise.resolve(`user ${req.userId}`));
+            promised.route('/fail').post((req, res) => Promise.reject(new Error('failed')));
+
+            assert.equal(promised.get('title'), 'users');
+            return listen(promised)
+                .then(() => GET('/users/1'))
+                .then((res) => assert.equal(res.body, 'user 1'))
+                .then(() => REQUEST('/fail', { method: 'POST' }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.equal(res.body, 'failed');
+                    assert.deepEqual(promised.routes().map((route) => [route.method, route.path]), [
+                        ['GET', '/users/:id'],
+                        ['POST', '/fail'],
+                    ]);
+                });
+        });
+
+        it('should promisify mounted applications and the handlers registered before', function () {
+            const main = express();
+            const admin = express();
+            main.get('/early', (req, res) => Promise.resolve('early'));
+            admin.get('/stats', (req, res) => Promise.resolve('stats'));
+            admin.set('title', 'admin');
+
+            const promised = promisifyApp(main, { responseHandler, errorHandler });
+            promised.use('/admin', admin);
+            admin.get('/fail', (req, res) => Promise.reject(new Error('admin failed')));
+
+            return listen(promised)
+                .then(() => GET('/early'))
+                .then((res) => assert.equal(res.body, 'early'))
+                .then(() => GET('/admin/stats'))
+                .then((res) => assert.equal(res.body, 'stats'))
+                .then(() => REQUEST('/admin/fail'))
+                .then((res) => {
+                    assert.equal(res.body, 'admin failed');
+                    assert.equal(admin.parent, main);
+                    assert.equal(admin.get('title'), 'admin');
+                    assert.deepEqual(promised.routes().map((route) => route.path), ['/admin/fail']);
+                });
+        });
+    });
+
+    describe('Param loader test cases', function () {
+        const users = { 1: { id: 1, name: 'Ada' } };
+
+        it('should assign the loaded value to the request and load it once per request', function () {
+            const child = promiseRouter();
+            const loadUser = sinon.spy((id, req) => Promise.resolve(users[id]));
+
+            router.paramLoader('userId', loadUser, { as: 'user' });
+            child.paramLoader('userId', loadUser, { as: 'user' });
+            router.get('/users/:userId', (req, res, next) => NEXT);
+            router.use(child);
+            child.get('/users/:userId', (req, res) => {
+                res.send(req.user.name);
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/users/1'))
+                .then((res) => {
+                    assert.equal(res.body, 'Ada');
+                    assert.isTrue(loadUser.calledOnce);
+                    assert.equal(loadUser.firstCall.args[0], '1');
+                });
+        });
+
+        it('should reject a missing required value with a NotFound error', function () {
+            router = promiseRouter({ errorHandler: problemErrorHandler() });
+
+            router.paramLoader('userId', (id) => users[id], { as: 'user', required: true });
+            router.paramLoader('ref', () => null);
+            router.get('/users/:userId/:ref', (req, res) => {
+                res.send(`${req.user.name} ${req.ref}`);
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/users/1/none'))
+                .then((res) => assert.equal(res.body, 'Ada null'))
+                .then(() => REQUEST('/users/2/none', { json: true }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 404);
+                    assert.equal(res.body.detail, "No userId matches '2'");
+                    assert.equal(res.body.param, 'userId');
+                });
+        });
+    });
+
+    describe('Context handlers test cases', function () {
+        it('should send what a context handler resolves, with the status and headers it set', function () {
+            router.post('/users/:id', contextHandler((ctx) => {
+                ctx.status = 201;
+                ctx.set('X-User', ctx.params.id);
+                return Promise.resolve({ id: ctx.params.id, method: ctx.method, path: ctx.path });
+            }));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/users/1', { method: 'POST', json: true }))
+                .then((res) => {
+                    assert.equal(res.statusCode, 201);
+                    assert.equal(res.headers['x-user'], '1');
+                    assert.deepEqual(res.body, { id: '1', method: 'POST', path: '/users/1' });
+                });
+        });
+
+        it('should invoke unmarked one-argument handlers with a context when the router uses the context style', function () {
+            router = promiseRouter({ handlerStyle: 'context' });
+            const order = [];
+
+            router.use((ctx) => {
+                order.push('before');
+                ctx.state.user = ctx.get('X-User');
+                return ctx.next().then(() => order.push('after'));
+            });
+            router.get('/', (ctx) => `Hello ${ctx.state.user}`);
+            router.get('/legacy', (req, res) => {
+                res.send(res.locals.user);
+            });
+
+            return bootstrap(router)
+                .then(() => GET('/', { headers: { 'X-User': 'Ada' } }))
+                .then((res) => {
+                    assert.equal(res.body, 'Hello Ada');
+                    assert.deepEqual(order, ['before', 'after']);
+                })
+                .then(() => GET('/legacy', { headers: { 'X-User': 'Ada' } }))
+                .then((res) => assert.equal(res.body, 'Ada'));
+        });
+
+        it('should keep the express style for middlewares, error handlers and routers on a context router', function () {
+            const child = promiseRouter();
+            router = promiseRouter({ handlerStyle: 'context' });
+
+            router.use(express.json());
+            router.post('/echo', (ctx) => ctx.body);
+            router.use('/child', child);
+            child.get('/:id', (req, res) => Promise.resolve(res.send(req.params.id)));
+            router.get('/fail', (ctx) => Promise.reject(new Error('failed')));
+            router.use((err, req, res, next) => res.status(500).send(err.message));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/echo', { method: 'POST', json: true, body: { foo: 'bar' } }))
+                .then((res) => assert.deepEqual(res.body, { foo: 'bar' }))
+                .then(() => GET('/child/1'))
+                .then((res) => assert.equal(res.body, '1'))
+                .then(() => REQUEST('/fail'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.equal(res.body, 'failed');
+                });
+        });
+
+        it('should call the error handlers with what a context handler rejects', function () {
+            router = promiseRouter({ handlerStyle: 'context', errorHandler: problemErrorHandler() });
+
+            router.get('/:id', (ctx) => {
+                if (ctx.params.id === 'next') {
+                    return NEXT;
+                }
+                throw new NotFound();
+            });
+            router.get('/:id', (ctx) => 'fallback');
+
+            return bootstrap(router)
+                .then(() => GET('/next'))
+                .then((res) => assert.equal(res.body, 'fallback'))
+                .then(() => REQUEST('/1'))
+                .then((res) => assert.equal(res.statusCode, 404));
+        });
+
+        it('should let a context handler set headers once the downstream handlers settled', function () {
+            const headersSentReporter = sinon.spy();
+            router = promiseRouter({ handlerStyle: 'context', headersSentReporter });
+
+            router.use((ctx) =>
+                ctx.next().then(() => {
+                    ctx.set('X-Status', String(ctx.status));
+                })
+            );
+            router.use((ctx) => ctx.next().then(() => ctx.set('X-After', '1')));
+            router.get('/', (ctx) => {
+                ctx.status = 201;
+                return Promise.resolve('created');
+            });
+
+            return bootstrap(router)
+                .then(() => REQUEST('/'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 201);
+                    assert.equal(res.body, 'created');
+                    assert.equal(res.headers['x-after'], '1');
+                    assert.equal(res.headers['x-status'], '201');
+                    assert.isTrue(headersSentReporter.notCalled);
+                });
+        });
+
+        it('should reject ctx.next() with the errors the downstream handlers pass on', function () {
+            router = promiseRouter({ handlerStyle: 'context' });
+
+            router.use((ctx) =>
+                ctx.next().catch((error) => reply(`recovered from ${error.message}`).status(502))
+            );
+            router.get('/throw', (ctx) => {
+                throw new Error('thrown');
+            });
+            router.get('/next', (req, res, next) => next(new Error('passed')));
+            router.get('/ok', (ctx) => 'ok');
+
+            return bootstrap(router)
+                .then(() => REQUEST('/throw'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 502);
+                    assert.equal(res.body, 'recovered from thrown');
+                })
+                .then(() => REQUEST('/next'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 502);
+                    assert.equal(res.body, 'recovered from passed');
+                })
+                .then(() => GET('/ok'))
+                .then((res) => assert.equal(res.body, 'ok'));
+        });
+
+        it('should pass the downstream errors a context handler does not catch on to the error handlers', function () {
+            router = promiseRouter({ handlerStyle: 'context' });
+
+            router.use((ctx) => ctx.next().then(() => ctx.set('X-After', '1')));
+            router.get('/', (ctx) => Promise.reject(new Error('failed')));
+            router.use((err, req, res, next) => res.status(500).send(err.message));
+
+            return bootstrap(router)
+                .then(() => REQUEST('/'))
+                .then((res) => {
+                    assert.equal(res.statusCode, 500);
+                    assert.equal(res.body, 'failed');
+                    assert.isUndefined(res.headers['x-after']);
+                });
+        });
+    });
 });
@@ -1,8 +1,15 @@
 const request = require('request-promise');
 const { assert } = require('chai');
 
-exports.GET = (route) => {
-    return request({ url: 'http://localhost:12345' + route, resolveWithFullResponse: true })
+// Resolves with the full response regardless of its status code
+exports.REQUEST = (route, options) => {
+    const defaults = { url: 'http://localhost:12345' + route, resolveWithFullResponse: true, simple: false };
+    return request(Object.assign(defaults, options));
+};
+
+exports.GET = (route, options) => {
+    const defaults = { url: 'http://localhost:12345' + route, resolveWithFullResponse: true };
+    return request(Object.assign(defaults, options))
         .then((res) => {
             // Express sends 500 errors for uncaught exceptions (like failed assertions)
             // Make sure to still fail the test if an assertion in middleware failed.